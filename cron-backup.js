@@ -1,10 +1,16 @@
+// Cron job for restore jobs and periodic backup check
+// Restore and background task slices and due notification digests run on every trigger; the backup check runs at most every 24 hours
+// Deploy with wrangler.cron.toml: the trigger must fire every minute, since each trigger advances
+// a restore job by a single slice (see RESTORE_SLICE_MS in main.js)
+import { periodicBackupCheck, driveRestoreJobs, driveTasks, getBlobStore, flushNotificationDigests, getStorageChat } from './main.js';
 
-// Cron job for periodic backup check (runs every 24 hours)
-import { handleUpdate, periodicBackupCheck } from './main.js';
+const BACKUP_CHECK_INTERVAL = 24 * 60 * 60 * 1000;
+// A check can outlast the one-minute trigger; the lease keeps later triggers from starting it again
+const BACKUP_CHECK_LEASE_TTL = 30 * 60;
 
 export default {
   async scheduled(event, env, ctx) {
-    console.log('Running scheduled backup check...');
+    console.log('Running scheduled tasks...');
     
     const token = env.TELEGRAM_BOT_TOKEN;
     const DB = env.DB;
@@ -14,11 +20,51 @@ export default {
       return;
     }
     
+    // Probing forwards go to the storage chat; check it up front so a bad setup shows in the logs
+    const storageChat = await getStorageChat(env);
+    
+    try {
+      await driveRestoreJobs(DB, token, getBlobStore(env));
+      console.log('Restore jobs advanced');
+    } catch (err) {
+      console.error('Error driving restore jobs:', err);
+    }
+    
+    try {
+      await driveTasks(DB, token, getBlobStore(env));
+    } catch (err) {
+      console.error('Error driving background tasks:', err);
+    }
+    
+    try {
+      await flushNotificationDigests(DB, token);
+    } catch (err) {
+      console.error('Error flushing notification digests:', err);
+    }
+    
+    const lastCheck = parseInt(await DB.get('periodic_check:last') || '0');
+    if (Date.now() - lastCheck < BACKUP_CHECK_INTERVAL) {
+      return;
+    }
+    
+    if (!storageChat.ok) {
+      console.error('Skipping backup check, storage chat not usable:', storageChat.error);
+      return;
+    }
+    
+    if (await DB.get('periodic_check:lease')) {
+      console.log('Backup check already running');
+      return;
+    }
+    await DB.put('periodic_check:lease', Date.now().toString(), { expirationTtl: BACKUP_CHECK_LEASE_TTL });
+    
     try {
-      await periodicBackupCheck(DB, token);
+      await periodicBackupCheck(DB, token, storageChat.chat_id);
+      await DB.put('periodic_check:last', Date.now().toString());
+      await DB.delete('periodic_check:lease');
       console.log('Scheduled backup check completed successfully');
     } catch (err) {
       console.error('Error in scheduled backup check:', err);
     }
   }
-};
+};
\ No newline at end of file
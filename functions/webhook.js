@@ -1,28 +1,44 @@
 
-import { handleUpdate } from '../main.js';
+import { handleUpdate, safeEqual } from '../main.js';
 
 export async function onRequestPost({ request, env, waitUntil }) {
+  // Only Telegram knows the secret we passed to setWebhook
+  const secret = env.TELEGRAM_WEBHOOK_SECRET;
+  if (!secret) {
+    console.error('TELEGRAM_WEBHOOK_SECRET is not configured');
+    return new Response('Webhook secret not configured', { status: 503 });
+  }
+  
+  const headerSecret = request.headers.get('X-Telegram-Bot-Api-Secret-Token') || '';
+  if (!safeEqual(headerSecret, secret)) {
+    return new Response('Unauthorized', { status: 401 });
+  }
+  
+  let update;
   try {
-    const update = await request.json();
-    
-    // Process update in background
-    const promise = handleUpdate(update, env, { waitUntil });
-    if (waitUntil && promise) {
-      waitUntil(promise);
-    }
-    
-    // Respond immediately to Telegram
-    return new Response('OK', { 
-      status: 200,
-      headers: { 'Content-Type': 'text/plain' }
-    });
+    update = await request.json();
   } catch (err) {
     console.error('Webhook error:', err);
     return new Response('Bad Request', { status: 400 });
   }
+  
+  // handleUpdate only records the update and leaves the handling to waitUntil, so Telegram is answered
+  // right away; a failure to record it answers 500 so Telegram redelivers the update
+  try {
+    await handleUpdate(update, env, { waitUntil });
+  } catch (err) {
+    console.error('Error accepting update:', err);
+    return new Response('Internal Error', { status: 500 });
+  }
+  
+  return new Response('OK', { 
+    status: 200,
+    headers: { 'Content-Type': 'text/plain' }
+  });
 }
 
 export async function onRequestGet({ env }) {
+  const configured = !!env.TELEGRAM_BOT_TOKEN && !!env.DB && !!env.TELEGRAM_WEBHOOK_SECRET;
   const html = `
     <!DOCTYPE html>
     <html dir="rtl" lang="fa">
@@ -53,7 +69,7 @@ export async function onRequestGet({ env }) {
         .status {
           margin-top: 20px;
           padding: 10px 20px;
-          background: ${!!env.TELEGRAM_BOT_TOKEN && !!env.DB ? '#28a745' : '#ffc107'};
+          background: ${configured ? '#28a745' : '#ffc107'};
           border-radius: 10px;
           display: inline-block;
         }
@@ -65,7 +81,7 @@ export async function onRequestGet({ env }) {
         <p>این endpoint برای دریافت پیام‌های تلگرام است.</p>
         <p>فقط سرورهای تلگرام می‌توانند به این آدرس POST ارسال کنند.</p>
         <div class="status">
-          ${!!env.TELEGRAM_BOT_TOKEN && !!env.DB ? '✅ سرویس فعال' : '⚠️ نیاز به تنظیمات'}
+          ${configured ? '✅ سرویس فعال' : '⚠️ نیاز به تنظیمات'}
         </div>
       </div>
     </body>
@@ -10,6 +10,23 @@ async function telegramRequest(token, method, body = {}) {
   return await response.json();
 }
 
+// Upload one file (or a list of files) to Telegram as multipart/form-data
+async function telegramUpload(token, method, fields, file) {
+  const url = `https://api.telegram.org/bot${token}/${method}`;
+  const form = new FormData();
+  
+  for (const [key, value] of Object.entries(fields)) {
+    if (value === undefined || value === null) continue;
+    form.append(key, typeof value === 'object' ? JSON.stringify(value) : String(value));
+  }
+  for (const item of [].concat(file)) {
+    form.append(item.field, new Blob([item.content], { type: item.type }), item.name);
+  }
+  
+  const response = await fetch(url, { method: 'POST', body: form });
+  return await response.json();
+}
+
 // Send message helper
 async function sendMessage(token, chatId, text, options = {}) {
   return telegramRequest(token, 'sendMessage', {
@@ -20,6 +37,14 @@ async function sendMessage(token, chatId, text, options = {}) {
   });
 }
 
+// Escape text for use inside HTML-formatted messages
+function escapeHTML(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
 // Get user data from KV
 async function getUserData(DB, userId) {
   const data = await DB.get(`user:${userId}`);
@@ -31,9 +56,133 @@ async function saveUserData(DB, userId, data) {
   await DB.put(`user:${userId}`, JSON.stringify(data));
 }
 
-// Save backup message to KV
+// Channel roles, weakest first
+const CHANNEL_ROLES = ['viewer', 'restorer', 'owner'];
+
+const CHANNEL_ROLE_LABELS = {
+  owner: '👑 مالک',
+  restorer: '♻️ بازیابی‌کننده',
+  viewer: '👁 بیننده'
+};
+
+// Invite codes stay valid for a week
+const INVITE_TTL = 7 * 24 * 60 * 60;
+
+// Each member's role is its own member:<channel>:<user> key, so joins and role changes never
+// overwrite each other; channel:<channel> only marks that the channel has members
+async function putChannelMember(DB, channelId, userId, role) {
+  await DB.put(`member:${channelId}:${userId}`, role, { metadata: { role } });
+}
+
+// Move members still kept in the channel key itself (a map, or once a plain list of owners)
+// to their own keys; returns false if the channel has no members at all
+async function migrateChannelMembers(DB, channelId) {
+  const data = await DB.get(`channel:${channelId}`);
+  if (!data) return false;
+  
+  const legacy = JSON.parse(data);
+  const entries = Array.isArray(legacy) ? legacy.map(id => [String(id), 'owner']) : Object.entries(legacy);
+  if (entries.length === 0) return true;
+  
+  for (const [memberId, role] of entries) {
+    if (!(await DB.get(`member:${channelId}:${memberId}`))) {
+      await putChannelMember(DB, channelId, memberId, role);
+    }
+  }
+  await DB.put(`channel:${channelId}`, '{}');
+  return true;
+}
+
+// Users who have a channel in their list, mapped to their role
+async function getChannelMembers(DB, channelId) {
+  const members = {};
+  if (!(await migrateChannelMembers(DB, channelId))) return members;
+  
+  const prefix = `member:${channelId}:`;
+  for (const key of await listAllKeys(DB, prefix)) {
+    members[key.name.slice(prefix.length)] = key.metadata?.role || await DB.get(key.name);
+  }
+  return members;
+}
+
+// Ids of the users who have a channel in their list
+async function getChannelMemberIds(DB, channelId) {
+  return Object.keys(await getChannelMembers(DB, channelId));
+}
+
+// Give a user a role in a channel
+async function setChannelRole(DB, channelId, userId, role) {
+  if (!(await migrateChannelMembers(DB, channelId))) {
+    await DB.put(`channel:${channelId}`, '{}');
+  }
+  await putChannelMember(DB, channelId, String(userId), role);
+}
+
+// Take a user out of a channel's members
+async function removeChannelMember(DB, channelId, userId) {
+  await migrateChannelMembers(DB, channelId);
+  await DB.delete(`member:${channelId}:${userId}`);
+  
+  if ((await getChannelMemberIds(DB, channelId)).length === 0) {
+    await DB.delete(`channel:${channelId}`);
+  }
+}
+
+// Role of a user in a channel read straight from their key, without the index check
+async function getStoredChannelRole(DB, channelId, userId) {
+  await migrateChannelMembers(DB, channelId);
+  return DB.get(`member:${channelId}:${userId}`);
+}
+
+// Role of a user in a channel, or null if they aren't a member
+async function getChannelRole(DB, channelId, userId) {
+  await ensureChannelOwnerIndex(DB);
+  return getStoredChannelRole(DB, channelId, userId);
+}
+
+// Whether a role is at least as strong as the one required
+function hasChannelRole(role, minRole) {
+  return !!role && CHANNEL_ROLES.indexOf(role) >= CHANNEL_ROLES.indexOf(minRole);
+}
+
+function formatRoleRefusal(minRole) {
+  return '⛔️ <b>دسترسی کافی ندارید!</b>\n\n' +
+    'این کار در این کانال به نقش ' + CHANNEL_ROLE_LABELS[minRole] + (minRole === 'owner' ? '' : ' یا بالاتر') + ' نیاز دارد.\n' +
+    'از مالک کانال بخواهید با <code>/invite</code> نقش شما را تغییر دهد.';
+}
+
+// Build the channel → members index once from the user records that predate it
+async function ensureChannelOwnerIndex(DB) {
+  if (await DB.get('channel_index:built')) return;
+  
+  for (const key of await listAllKeys(DB, 'user:')) {
+    const userData = JSON.parse(await DB.get(key.name));
+    const userId = key.name.replace('user:', '');
+    
+    for (const channel of userData.channels || []) {
+      // Keep roles given out before the index was first built
+      if (!(await getStoredChannelRole(DB, channel.id, userId))) {
+        await setChannelRole(DB, channel.id, userId, 'owner');
+      }
+    }
+  }
+  
+  await DB.put('channel_index:built', Date.now().toString());
+}
+
+// Save backup message to KV and keep the backup and search indexes in step with it
 async function saveBackupMessage(DB, channelId, messageId, messageData) {
+  const previous = await getBackupMessage(DB, channelId, messageId);
   await DB.put(`backup:${channelId}:${messageId}`, JSON.stringify(messageData));
+  if (!previous) {
+    await addToBackupIndex(DB, channelId, Number(messageId));
+    
+    // Album items are saved in parallel and may overwrite each other's index update
+    if (messageData.media_group_id) {
+      await DB.put(`backup_index_stale:${channelId}`, '1', { expirationTtl: BACKUP_INDEX_STALE_TTL });
+    }
+  }
+  await updateSearchIndex(DB, channelId, messageId, previous, messageData);
 }
 
 // Check if message is already backed up
@@ -42,79 +191,447 @@ async function isMessageBackedUp(DB, channelId, messageId) {
   return !!existing;
 }
 
-// Get all backup messages for a channel
-async function getChannelBackups(DB, channelId) {
-  const list = await DB.list({ prefix: `backup:${channelId}:` });
-  const messages = [];
-  for (const key of list.keys) {
-    const data = await DB.get(key.name);
-    if (data) messages.push(JSON.parse(data));
+// Get a single backup record
+async function getBackupMessage(DB, channelId, messageId) {
+  const data = await DB.get(`backup:${channelId}:${messageId}`);
+  return data ? JSON.parse(data) : null;
+}
+
+// Words shorter than this are too common to be worth indexing
+const SEARCH_MIN_TOKEN_LENGTH = 2;
+const SEARCH_MAX_TOKEN_LENGTH = 40;
+const SEARCH_RESULT_LIMIT = 10;
+
+// Backups read per channel for one search; inline queries run on every keystroke
+const SEARCH_HIT_LIMIT = 50;
+
+// Fold Arabic/Persian letter variants, digits and case so queries match how people type
+function normalizeSearchText(text) {
+  return text
+    .replace(/[\u064B-\u065F\u0670\u0640\u200D]/g, '')
+    .replace(/[يى]/g, 'ی')
+    .replace(/ك/g, 'ک')
+    .replace(/[ةۀ]/g, 'ه')
+    .replace(/[أإآٱ]/g, 'ا')
+    .replace(/ؤ/g, 'و')
+    .replace(/[۰-۹]/g, digit => String(digit.charCodeAt(0) - 0x06F0))
+    .replace(/[٠-٩]/g, digit => String(digit.charCodeAt(0) - 0x0660))
+    .toLowerCase();
+}
+
+// Split text into the distinct words the index stores
+function tokenizeSearchText(text) {
+  const normalized = normalizeSearchText(text || '');
+  // Persian words joined by a zero-width non-joiner are kept both whole and split
+  const tokens = [normalized.replace(/\u200C/g, ''), normalized.replace(/\u200C/g, ' ')]
+    .join(' ')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(token => token.length >= SEARCH_MIN_TOKEN_LENGTH && token.length <= SEARCH_MAX_TOKEN_LENGTH);
+  return [...new Set(tokens)];
+}
+
+// Searchable words of a backup: its text or caption plus poll, venue and contact text
+function getSearchTokens(backup) {
+  const parts = [backup.text, backup.caption];
+  if (backup.poll) parts.push(backup.poll.question, ...backup.poll.options);
+  if (backup.venue) parts.push(backup.venue.title, backup.venue.address);
+  if (backup.contact) parts.push(backup.contact.first_name, backup.contact.last_name);
+  if (backup.blob) parts.push(backup.blob.file_name);
+  return tokenizeSearchText(parts.filter(Boolean).join(' '));
+}
+
+// Each posting is its own key, so concurrent saves never overwrite each other's ids;
+// the id is stored inverted so a prefix listing returns the newest posts first
+const SEARCH_ID_CEILING = 9999999999;
+const SEARCH_POSTING_LIMIT = 5000;
+
+// Key of one word's posting for a message
+function getSearchPostingKey(channelId, token, messageId) {
+  return `search:${channelId}:${token}:${String(SEARCH_ID_CEILING - messageId).padStart(10, '0')}`;
+}
+
+// Add or remove one message id in the posting list of a word
+async function updateSearchPostings(DB, channelId, token, messageId, add) {
+  const key = getSearchPostingKey(channelId, token, messageId);
+  if (add) {
+    await DB.put(key, '1');
+  } else {
+    await DB.delete(key);
   }
-  return messages.sort((a, b) => a.message_id - b.message_id);
 }
 
-// Get last N backup messages for a channel
-async function getLastBackups(DB, channelId, count = 50) {
-  const allBackups = await getChannelBackups(DB, channelId);
-  return allBackups.slice(-count);
+// Newest message ids containing a word, up to SEARCH_POSTING_LIMIT
+async function getSearchPostings(DB, channelId, token) {
+  const prefix = `search:${channelId}:${token}:`;
+  const ids = [];
+  let cursor;
+  
+  do {
+    const page = await DB.list({ prefix, cursor });
+    for (const key of page.keys) {
+      ids.push(SEARCH_ID_CEILING - parseInt(key.name.slice(prefix.length)));
+    }
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor && ids.length < SEARCH_POSTING_LIMIT);
+  
+  return ids;
 }
 
-// Backup a single message
-async function backupMessage(token, DB, channelId, messageId) {
-  try {
-    // Check if already backed up
-    if (await isMessageBackedUp(DB, channelId, messageId)) {
-      return { success: true, exists: true };
+// Touch only the words that changed between two versions of a backup
+async function updateSearchIndex(DB, channelId, messageId, previous, current) {
+  const before = previous ? getSearchTokens(previous) : [];
+  const after = getSearchTokens(current);
+  
+  for (const token of before.filter(token => !after.includes(token))) {
+    await updateSearchPostings(DB, channelId, token, messageId, false);
+  }
+  for (const token of after.filter(token => !before.includes(token))) {
+    await updateSearchPostings(DB, channelId, token, messageId, true);
+  }
+}
+
+// Index writes per reindex slice, counting the deletes of the clearing phase
+const REINDEX_SLICE_WRITES = 500;
+
+// Rebuild a channel's index from its stored backups in the background (for posts saved before search existed)
+async function startSearchReindex(token, DB, context, chatId, channel) {
+  return startTask(token, DB, context, {
+    kind: 'reindex',
+    chat_id: chatId,
+    channel_id: channel.id,
+    channel_title: channel.title,
+    phase: 'clear',
+    cursor: 0,
+    until_id: 0,
+    backups: 0,
+    postings: 0
+  });
+}
+
+// Delete the old postings, then index the next backups past the cursor
+async function runReindexSlice(token, DB, task) {
+  if (task.phase === 'clear') {
+    const page = await DB.list({ prefix: `search:${task.channel_id}:`, limit: REINDEX_SLICE_WRITES });
+    for (const key of page.keys) {
+      await DB.delete(key.name);
+    }
+    if (page.list_complete) task.phase = 'index';
+    return;
+  }
+  
+  // Posts backed up after the reindex started are indexed as they are saved
+  if (!task.until_id) {
+    task.until_id = (await reconcileBackupIndex(DB, task.channel_id)).last_id;
+  }
+  
+  const pendingIds = await getBackupIds(DB, task.channel_id, task.cursor, task.until_id);
+  let writes = 0;
+  
+  for (const messageId of pendingIds) {
+    if (writes >= REINDEX_SLICE_WRITES) return;
+    
+    const backup = await getBackupMessage(DB, task.channel_id, messageId);
+    if (backup) {
+      const tokens = getSearchTokens(backup);
+      for (const searchToken of tokens) {
+        await updateSearchPostings(DB, task.channel_id, searchToken, messageId, true);
+      }
+      writes += tokens.length + 1;
+      task.backups++;
+      task.postings += tokens.length;
     }
+    task.cursor = messageId;
+  }
+  
+  task.status = 'completed';
+  await sendMessage(token, task.chat_id,
+    '✅ <b>فهرست جستجو بازسازی شد!</b>\n\n' +
+    '📺 کانال: <b>' + escapeHTML(task.channel_title) + '</b>\n' +
+    `📊 پیام‌ها: ${task.backups}\n` +
+    `🔤 واژه‌های فهرست‌شده: ${task.postings}`
+  );
+}
 
-    const result = await telegramRequest(token, 'forwardMessage', {
-      chat_id: channelId,
-      from_chat_id: channelId,
-      message_id: messageId
-    });
+// Message ids of a channel containing every word of the query, newest first
+async function searchChannelBackups(DB, channelId, query) {
+  const tokens = tokenizeSearchText(query);
+  if (tokens.length === 0) return [];
+  
+  let matches = null;
+  for (const token of tokens) {
+    const ids = new Set(await getSearchPostings(DB, channelId, token));
+    matches = matches ? matches.filter(id => ids.has(id)) : [...ids];
+    if (matches.length === 0) return [];
+  }
+  
+  return matches.sort((a, b) => b - a);
+}
 
-    if (!result.ok) {
-      return { success: false, error: result.description };
+// Up to SEARCH_HIT_LIMIT backups across several channels matching a query and filters, newest first
+async function searchBackups(DB, channels, query, filters = {}) {
+  const hits = [];
+  if (normalizeSearchText(query.trim()).length < SEARCH_MIN_TOKEN_LENGTH) return hits;
+  
+  for (const channel of channels) {
+    const messageIds = (await searchChannelBackups(DB, channel.id, query)).slice(0, SEARCH_HIT_LIMIT);
+    for (const messageId of messageIds) {
+      const backup = await getBackupMessage(DB, channel.id, messageId);
+      if (backup && matchesRestoreFilters(backup, filters)) {
+        hits.push({ channel, backup });
+      }
     }
+  }
+  return hits.sort((a, b) => b.backup.date - a.backup.date).slice(0, SEARCH_HIT_LIMIT);
+}
 
-    // Get message details
-    const msgResult = await telegramRequest(token, 'getUpdates', {
-      offset: -1,
-      limit: 1
-    });
+// Telegram retries an update for up to a day if it isn't acknowledged
+const UPDATE_DEDUP_TTL = 48 * 60 * 60;
 
-    // Try to get message by copying it
-    const copyResult = await telegramRequest(token, 'copyMessage', {
-      chat_id: channelId,
-      from_chat_id: channelId,
-      message_id: messageId
-    });
+// Record update_id as processed; returns true if it was already seen
+async function isDuplicateUpdate(DB, updateId) {
+  if (updateId === undefined || updateId === null) return false;
+  
+  const key = `update:${updateId}`;
+  if (await DB.get(key)) return true;
+  
+  await DB.put(key, '1', { expirationTtl: UPDATE_DEDUP_TTL });
+  return false;
+}
 
-    if (copyResult.ok) {
-      // Delete the copied message
-      await telegramRequest(token, 'deleteMessage', {
-        chat_id: channelId,
-        message_id: copyResult.result.message_id
-      });
+// Every key under a prefix, following the list cursor past the 1000-key page limit
+async function listAllKeys(DB, prefix) {
+  const keys = [];
+  let cursor;
+  
+  do {
+    const page = await DB.list({ prefix, cursor });
+    keys.push(...page.keys);
+    cursor = page.list_complete ? null : page.cursor;
+  } while (cursor);
+  
+  return keys;
+}
+
+// Backed-up message ids are stored in chunks covering this many consecutive ids
+const BACKUP_CHUNK_SIZE = 1000;
+
+// Reads check the manifest against the stored keys for this long after an album was saved
+const BACKUP_INDEX_STALE_TTL = 120;
+
+// Per-channel manifest: backup count, newest id and the chunks that hold ids
+async function getBackupIndex(DB, channelId) {
+  if (await DB.get(`backup_index_stale:${channelId}`)) {
+    return reconcileBackupIndex(DB, channelId);
+  }
+  return readBackupIndex(DB, channelId);
+}
+
+// The manifest as stored, without checking it against the backup keys
+async function readBackupIndex(DB, channelId) {
+  const data = await DB.get(`backup_index:${channelId}`);
+  return data ? JSON.parse(data) : rebuildBackupIndex(DB, channelId);
+}
+
+// Sorted message ids held by one chunk
+async function getBackupChunk(DB, channelId, chunk) {
+  const data = await DB.get(`backup_chunk:${channelId}:${chunk}`);
+  return data ? JSON.parse(data) : [];
+}
+
+// Message ids of every stored backup key of a channel
+async function listBackupKeyIds(DB, channelId) {
+  const prefix = `backup:${channelId}:`;
+  return (await listAllKeys(DB, prefix)).map(key => parseInt(key.name.slice(prefix.length)));
+}
+
+// Build the manifest from the stored backup keys, for channels backed up before it existed
+async function rebuildBackupIndex(DB, channelId, messageIds = null) {
+  const chunks = new Map();
+  
+  for (const messageId of messageIds || await listBackupKeyIds(DB, channelId)) {
+    const chunk = Math.floor(messageId / BACKUP_CHUNK_SIZE);
+    if (!chunks.has(chunk)) chunks.set(chunk, []);
+    chunks.get(chunk).push(messageId);
+  }
+  
+  const index = { count: 0, last_id: 0, chunks: [] };
+  for (const [chunk, ids] of chunks) {
+    ids.sort((a, b) => a - b);
+    await DB.put(`backup_chunk:${channelId}:${chunk}`, JSON.stringify(ids));
+    index.count += ids.length;
+    index.last_id = Math.max(index.last_id, ids[ids.length - 1]);
+    index.chunks.push(chunk);
+  }
+  index.chunks.sort((a, b) => a - b);
+  
+  await DB.put(`backup_index:${channelId}`, JSON.stringify(index));
+  return index;
+}
+
+// Record a newly saved message id in its chunk and the channel manifest
+async function addToBackupIndex(DB, channelId, messageId) {
+  const index = await readBackupIndex(DB, channelId);
+  const chunk = Math.floor(messageId / BACKUP_CHUNK_SIZE);
+  const ids = await getBackupChunk(DB, channelId, chunk);
+  
+  // A freshly rebuilt manifest already contains it
+  if (ids.includes(messageId)) return;
+  
+  ids.push(messageId);
+  ids.sort((a, b) => a - b);
+  await DB.put(`backup_chunk:${channelId}:${chunk}`, JSON.stringify(ids));
+  
+  if (!index.chunks.includes(chunk)) {
+    index.chunks.push(chunk);
+    index.chunks.sort((a, b) => a - b);
+  }
+  index.count++;
+  index.last_id = Math.max(index.last_id, messageId);
+  await DB.put(`backup_index:${channelId}`, JSON.stringify(index));
+}
+
+// The backup:<ch>: keys are the source of truth: parallel saves (albums) can overwrite each
+// other's manifest update, so rebuild it when its count disagrees with the stored keys
+export async function reconcileBackupIndex(DB, channelId) {
+  const index = await readBackupIndex(DB, channelId);
+  const keyIds = await listBackupKeyIds(DB, channelId);
+  if (keyIds.length === index.count) return index;
+  
+  // Backups are never deleted, so ids the listing hasn't caught up with yet are kept
+  const ids = new Set(keyIds);
+  for (const chunk of index.chunks) {
+    for (const id of await getBackupChunk(DB, channelId, chunk)) ids.add(id);
+  }
+  return rebuildBackupIndex(DB, channelId, [...ids]);
+}
+
+// Number of backups in a channel without reading them
+async function getBackupCount(DB, channelId) {
+  return (await getBackupIndex(DB, channelId)).count;
+}
+
+// Sorted ids of a channel's backups with afterId < id <= untilId
+async function getBackupIds(DB, channelId, afterId = 0, untilId = Infinity) {
+  const index = await getBackupIndex(DB, channelId);
+  const ids = [];
+  
+  for (const chunk of index.chunks) {
+    if ((chunk + 1) * BACKUP_CHUNK_SIZE <= afterId || chunk * BACKUP_CHUNK_SIZE > untilId) continue;
+    for (const id of await getBackupChunk(DB, channelId, chunk)) {
+      if (id > afterId && id <= untilId) ids.push(id);
     }
+  }
+  
+  return ids;
+}
 
-    // Save minimal backup info
-    const backupData = {
-      message_id: messageId,
-      date: Date.now(),
-      backed_up: true
-    };
+// Load the backup records for a list of ids, skipping any that vanished
+async function getBackupsByIds(DB, channelId, ids) {
+  const messages = [];
+  for (const id of ids) {
+    const backup = await getBackupMessage(DB, channelId, id);
+    if (backup) messages.push(backup);
+  }
+  return messages;
+}
+
+// Get last N backup messages for a channel, reading only the newest chunks
+export async function getLastBackups(DB, channelId, count = 50) {
+  const index = await getBackupIndex(DB, channelId);
+  let ids = [];
+  
+  for (let i = index.chunks.length - 1; i >= 0 && ids.length < count; i--) {
+    ids = [...await getBackupChunk(DB, channelId, index.chunks[i]), ...ids];
+  }
+  
+  return getBackupsByIds(DB, channelId, ids.slice(-count));
+}
+
+let storageChatCheck = null;
+
+// A failed check is retried after this long instead of on every request
+const STORAGE_CHAT_RETRY_MS = 5 * 60 * 1000;
 
-    await saveBackupMessage(DB, channelId, messageId, backupData);
-    return { success: true, exists: false };
+// Make sure the storage chat is private and the bot can post and delete there
+async function validateStorageChat(token, DB, chatId) {
+  const fail = (error) => ({ ok: false, chat_id: chatId, title: null, error });
+  
+  const chat = await telegramRequest(token, 'getChat', { chat_id: chatId });
+  if (!chat.ok) return fail('ربات به چت ذخیره‌سازی دسترسی ندارد: ' + (chat.description || ''));
+  if (chat.result.type === 'private') return fail('چت ذخیره‌سازی باید گروه یا کانال باشد.');
+  if (chat.result.username) return fail('چت ذخیره‌سازی باید خصوصی باشد (بدون username).');
+  if (await DB.get(`channel:${chat.result.id}`)) return fail('چت ذخیره‌سازی نباید یکی از کانال‌های بکاپ‌شده باشد.');
+  
+  const me = await telegramRequest(token, 'getMe');
+  const member = me.ok ? await telegramRequest(token, 'getChatMember', { chat_id: chatId, user_id: me.result.id }) : me;
+  if (!member.ok) return fail('بررسی دسترسی ربات در چت ذخیره‌سازی ممکن نشد.');
+  
+  // Channels need explicit admin rights; in groups any member may post and delete its own messages
+  const { status } = member.result;
+  const canUse = chat.result.type === 'channel'
+    ? status === 'creator' || (status === 'administrator' && member.result.can_post_messages && member.result.can_delete_messages)
+    : ['creator', 'administrator', 'member'].includes(status) || (status === 'restricted' && member.result.can_send_messages);
+  if (!canUse) return fail('ربات باید در چت ذخیره‌سازی اجازه ارسال و حذف پیام داشته باشد.');
+  
+  return { ok: true, chat_id: chatId, title: chat.result.title, error: null };
+}
 
+// The private chat that probing forwards go to, validated once per isolate (failures are kept briefly)
+export async function getStorageChat(env) {
+  const chatId = env.STORAGE_CHAT_ID ? String(env.STORAGE_CHAT_ID).trim() : '';
+  if (!chatId) {
+    return { ok: false, chat_id: null, title: null, error: 'متغیر STORAGE_CHAT_ID تنظیم نشده است.' };
+  }
+  if (storageChatCheck?.chat_id === chatId &&
+      (storageChatCheck.ok || Date.now() - storageChatCheck.checked_at < STORAGE_CHAT_RETRY_MS)) {
+    return storageChatCheck;
+  }
+  
+  try {
+    storageChatCheck = await validateStorageChat(env.TELEGRAM_BOT_TOKEN, env.DB, chatId);
   } catch (err) {
-    return { success: false, error: err.message };
+    storageChatCheck = { ok: false, chat_id: chatId, title: null, error: 'بررسی چت ذخیره‌سازی ناموفق بود: ' + err.message };
+  }
+  storageChatCheck.checked_at = Date.now();
+  if (!storageChatCheck.ok) {
+    console.error('Storage chat is not usable:', storageChatCheck.error);
   }
+  return storageChatCheck;
+}
+
+// Read a channel post by forwarding it into the storage chat and deleting the copy
+async function probeMessage(token, storageChatId, channelId, messageId) {
+  const result = await telegramRequest(token, 'forwardMessage', {
+    chat_id: storageChatId,
+    from_chat_id: channelId,
+    message_id: messageId,
+    disable_notification: true
+  });
+  if (!result.ok) return null;
+  
+  await telegramRequest(token, 'deleteMessage', {
+    chat_id: storageChatId,
+    message_id: result.result.message_id
+  });
+  return result.result;
+}
+
+// Backup data for a post read through probeMessage
+function buildProbedBackup(messageId, message) {
+  return {
+    message_id: messageId,
+    // The copy's own date is the probe time; the origin holds the post's date
+    date: message.forward_origin?.date || message.forward_date || message.date || Date.now(),
+    ...extractMessageContent(message),
+    media_group_id: message.media_group_id || null,
+    ...extractReplyInfo(message),
+    backed_up: true,
+    original_exists: true
+  };
 }
 
 // Backup existing messages when channel is added
-async function backupExistingMessages(token, DB, channelId, userId) {
+async function backupExistingMessages(token, DB, channelId, userId, storageChatId) {
   let backedUpCount = 0;
   let skippedCount = 0;
   let scannedCount = 0;
@@ -164,55 +681,21 @@ async function backupExistingMessages(token, DB, channelId, userId) {
       currentMessageId = msgId;
       scannedCount++;
 
-      // Try to forward message to check if it exists
-      const forwardResult = await telegramRequest(token, 'forwardMessage', {
-        chat_id: channelId,
-        from_chat_id: channelId,
-        message_id: msgId
-      });
+      // Forward the message into the storage chat to check if it exists
+      const fwdMsg = await probeMessage(token, storageChatId, channelId, msgId);
 
-      if (forwardResult.ok) {
+      if (fwdMsg) {
         consecutiveFailures = 0; // Reset counter
-        
-        const fwdMsg = forwardResult.result;
 
         // Check if already backed up
         if (await isMessageBackedUp(DB, channelId, msgId)) {
-          // Delete the forwarded message
-          await telegramRequest(token, 'deleteMessage', {
-            chat_id: channelId,
-            message_id: fwdMsg.message_id
-          });
           skippedCount++;
           continue;
         }
 
         // Save backup with full message data
-        const backupData = {
-          message_id: msgId,
-          date: fwdMsg.date || Date.now(),
-          text: fwdMsg.text,
-          caption: fwdMsg.caption,
-          photo: fwdMsg.photo ? fwdMsg.photo[fwdMsg.photo.length - 1].file_id : null,
-          video: fwdMsg.video ? fwdMsg.video.file_id : null,
-          document: fwdMsg.document ? fwdMsg.document.file_id : null,
-          audio: fwdMsg.audio ? fwdMsg.audio.file_id : null,
-          voice: fwdMsg.voice ? fwdMsg.voice.file_id : null,
-          video_note: fwdMsg.video_note ? fwdMsg.video_note.file_id : null,
-          sticker: fwdMsg.sticker ? fwdMsg.sticker.file_id : null,
-          animation: fwdMsg.animation ? fwdMsg.animation.file_id : null,
-          backed_up: true,
-          original_exists: true
-        };
-
-        await saveBackupMessage(DB, channelId, msgId, backupData);
+        await saveBackupMessage(DB, channelId, msgId, buildProbedBackup(msgId, fwdMsg));
         backedUpCount++;
-        
-        // Delete the forwarded message after saving data
-        await telegramRequest(token, 'deleteMessage', {
-          chat_id: channelId,
-          message_id: fwdMsg.message_id
-        });
 
         // Update status every 5 seconds or every 10 messages
         const now = Date.now();
@@ -247,116 +730,6 @@ async function backupExistingMessages(token, DB, channelId, userId) {
         await new Promise(resolve => setTimeout(resolve, 100));
 
       } else {
-
-
-// Handle backup restoration with progress updates
-async function restoreBackupWithProgress(token, DB, sourceChannelId, targetChannelId, userId, statusMessageId, totalCount, targetTitle) {
-  const backups = await getChannelBackups(DB, sourceChannelId);
-  let restored = 0;
-  let failed = 0;
-  let lastUpdateTime = Date.now();
-  
-  for (let i = 0; i < backups.length; i++) {
-    const backup = backups[i];
-    
-    try {
-      if (backup.text) {
-        await sendMessage(token, targetChannelId, backup.text);
-        restored++;
-      } else if (backup.photo) {
-        await telegramRequest(token, 'sendPhoto', {
-          chat_id: targetChannelId,
-          photo: backup.photo,
-          caption: backup.caption || ''
-        });
-        restored++;
-      } else if (backup.video) {
-        await telegramRequest(token, 'sendVideo', {
-          chat_id: targetChannelId,
-          video: backup.video,
-          caption: backup.caption || ''
-        });
-        restored++;
-      } else if (backup.document) {
-        await telegramRequest(token, 'sendDocument', {
-          chat_id: targetChannelId,
-          document: backup.document,
-          caption: backup.caption || ''
-        });
-        restored++;
-      } else if (backup.audio) {
-        await telegramRequest(token, 'sendAudio', {
-          chat_id: targetChannelId,
-          audio: backup.audio,
-          caption: backup.caption || ''
-        });
-        restored++;
-      } else if (backup.animation) {
-        await telegramRequest(token, 'sendAnimation', {
-          chat_id: targetChannelId,
-          animation: backup.animation,
-          caption: backup.caption || ''
-        });
-        restored++;
-      } else if (backup.sticker) {
-        await telegramRequest(token, 'sendSticker', {
-          chat_id: targetChannelId,
-          sticker: backup.sticker
-        });
-        restored++;
-      }
-      
-      // Update progress every 3 seconds or every 5 messages
-      const now = Date.now();
-      if (statusMessageId && (now - lastUpdateTime > 3000 || restored % 5 === 0)) {
-        lastUpdateTime = now;
-        
-        const progress = Math.round(((restored + failed) / totalCount) * 100);
-        const barFilled = Math.floor(progress / 5);
-        const barEmpty = 20 - barFilled;
-        
-        await telegramRequest(token, 'editMessageText', {
-          chat_id: userId,
-          message_id: statusMessageId,
-          text: 
-            '🔄 <b>در حال انتقال بکاپ...</b>\n\n' +
-            '📺 مقصد: <b>' + targetTitle + '</b>\n\n' +
-            `📊 پیشرفت: ${progress}%\n` +
-            `━${'█'.repeat(barFilled)}${'░'.repeat(barEmpty)}━\n\n` +
-            `✅ منتقل شده: ${restored} از ${totalCount}\n` +
-            (failed > 0 ? `❌ ناموفق: ${failed}\n` : '') +
-            `⏱ باقیمانده: ${totalCount - restored - failed} پیام\n\n` +
-            '⏳ لطفا صبر کنید...',
-          parse_mode: 'HTML'
-        });
-      }
-      
-      // Reduced delay for faster transfer
-      await new Promise(resolve => setTimeout(resolve, 50));
-      
-    } catch (err) {
-      console.error('Error restoring message:', err);
-      failed++;
-      
-      // Notify on persistent failures
-      if (failed === 5 && statusMessageId) {
-        await telegramRequest(token, 'editMessageText', {
-          chat_id: userId,
-          message_id: statusMessageId,
-          text: 
-            '⚠️ <b>در حال انتقال با خطاهای جزئی...</b>\n\n' +
-            `✅ موفق: ${restored}\n` +
-            `❌ ناموفق: ${failed}\n\n` +
-            'فرآیند ادامه دارد...',
-          parse_mode: 'HTML'
-        });
-      }
-    }
-  }
-  
-  return restored;
-}
-
         consecutiveFailures++;
         
         // Update on consecutive failures milestone
@@ -436,1301 +809,5529 @@ async function restoreBackupWithProgress(token, DB, sourceChannelId, targetChann
   }
 }
 
-// Enhanced backup for channel posts with file info
-async function backupChannelPost(DB, token, message) {
-  const channelId = message.chat.id;
-  const messageId = message.message_id;
+// Message types the bot can back up, in the order they are detected
+// (animations also carry a document, venues also carry a location)
+const BACKUP_TYPES = [
+  'text', 'photo', 'video', 'animation', 'document', 'audio', 'voice',
+  'video_note', 'sticker', 'poll', 'venue', 'location', 'contact', 'dice'
+];
 
-  // Check file size limit (25MB)
-  const fileSize = message.video?.file_size || message.document?.file_size || message.audio?.file_size || 0;
-  if (fileSize > 25 * 1024 * 1024) {
-    return { success: false, reason: 'file_too_large' };
-  }
+const BACKUP_TYPE_LABELS = {
+  text: '📄 متن',
+  photo: '📸 عکس',
+  video: '🎥 ویدیو',
+  animation: '🎬 انیمیشن',
+  document: '📎 فایل',
+  audio: '🎵 صوت',
+  voice: '🎙 پیام صوتی',
+  video_note: '⏺ ویدیو مسیج',
+  sticker: '🎭 استیکر',
+  poll: '📊 نظرسنجی',
+  venue: '📍 مکان',
+  location: '🗺 موقعیت',
+  contact: '👤 مخاطب',
+  dice: '🎲 تاس'
+};
 
-  const backupData = {
-    message_id: messageId,
-    date: message.date,
-    text: message.text,
-    caption: message.caption,
-    photo: message.photo ? message.photo[message.photo.length - 1].file_id : null,
-    video: message.video ? message.video.file_id : null,
-    document: message.document ? message.document.file_id : null,
-    audio: message.audio ? message.audio.file_id : null,
-    voice: message.voice ? message.voice.file_id : null,
-    video_note: message.video_note ? message.video_note.file_id : null,
-    sticker: message.sticker ? message.sticker.file_id : null,
-    animation: message.animation ? message.animation.file_id : null,
-    backed_up: true,
-    auto_backup: true
-  };
+// Detect which kind of message a backup holds, or null if it holds no content
+function getBackupType(backup) {
+  return BACKUP_TYPES.find(type => backup[type]) || null;
+}
 
-  await saveBackupMessage(DB, channelId, messageId, backupData);
-  
-  // Notify channel owners about new backup
-  await notifyChannelOwners(DB, token, channelId, messageId, backupData);
+// Build the Bot API call that reproduces a backup, or null if it can't be
+function buildSendRequest(backup, chatId) {
+  const caption = {
+    caption: backup.caption || '',
+    caption_entities: backup.caption_entities || undefined
+  };
   
-  return { success: true };
+  switch (getBackupType(backup)) {
+    case 'text':
+      return { method: 'sendMessage', body: { chat_id: chatId, text: backup.text, entities: backup.entities || undefined } };
+    case 'photo':
+      return { method: 'sendPhoto', body: { chat_id: chatId, photo: backup.photo, ...caption } };
+    case 'video':
+      return { method: 'sendVideo', body: { chat_id: chatId, video: backup.video, ...caption } };
+    case 'animation':
+      return { method: 'sendAnimation', body: { chat_id: chatId, animation: backup.animation, ...caption } };
+    case 'document':
+      return { method: 'sendDocument', body: { chat_id: chatId, document: backup.document, ...caption } };
+    case 'audio':
+      return { method: 'sendAudio', body: { chat_id: chatId, audio: backup.audio, ...caption } };
+    case 'voice':
+      return { method: 'sendVoice', body: { chat_id: chatId, voice: backup.voice, ...caption } };
+    case 'video_note':
+      return { method: 'sendVideoNote', body: { chat_id: chatId, video_note: backup.video_note } };
+    case 'sticker':
+      return { method: 'sendSticker', body: { chat_id: chatId, sticker: backup.sticker } };
+    case 'poll': {
+      const poll = backup.poll;
+      // A quiz can only be recreated if we know its answer
+      const isQuiz = poll.type === 'quiz' && poll.correct_option_id !== undefined && poll.correct_option_id !== null;
+      return {
+        method: 'sendPoll',
+        body: {
+          chat_id: chatId,
+          question: poll.question,
+          options: poll.options.map(text => ({ text })),
+          type: isQuiz ? 'quiz' : 'regular',
+          allows_multiple_answers: isQuiz ? undefined : poll.allows_multiple_answers,
+          correct_option_id: isQuiz ? poll.correct_option_id : undefined,
+          explanation: isQuiz ? poll.explanation || undefined : undefined
+        }
+      };
+    }
+    case 'venue':
+      return { method: 'sendVenue', body: { chat_id: chatId, ...backup.venue } };
+    case 'location':
+      return { method: 'sendLocation', body: { chat_id: chatId, ...backup.location } };
+    case 'contact':
+      return { method: 'sendContact', body: { chat_id: chatId, ...backup.contact } };
+    case 'dice':
+      return { method: 'sendDice', body: { chat_id: chatId, emoji: backup.dice.emoji } };
+    default:
+      return null;
+  }
 }
 
-// Notify users who own this channel about new backup
-async function notifyChannelOwners(DB, token, channelId, messageId, backupData) {
-  try {
-    // Find all users who have this channel
-    const allUsers = await DB.list({ prefix: 'user:' });
-    
-    for (const key of allUsers.keys) {
-      const userData = JSON.parse(await DB.get(key.name));
-      const channel = userData.channels?.find(ch => ch.id === channelId);
-      
-      if (channel) {
-        const userId = key.name.replace('user:', '');
-        
-        // Get notification preference
-        const notifyPref = await DB.get(`notify:${userId}`);
-        if (notifyPref === 'off') continue;
-        
-        // Determine message type
-        let messageType = '📄 متن';
-        if (backupData.photo) messageType = '📸 عکس';
-        else if (backupData.video) messageType = '🎥 ویدیو';
-        else if (backupData.document) messageType = '📎 فایل';
-        else if (backupData.audio) messageType = '🎵 صوت';
-        else if (backupData.sticker) messageType = '🎭 استیکر';
-        else if (backupData.animation) messageType = '🎬 انیمیشن';
-        
-        await sendMessage(token, userId,
-          `✅ <b>بکاپ جدید</b>\n\n` +
-          `📺 کانال: <b>${channel.title}</b>\n` +
-          `📄 پیام: #${messageId}\n` +
-          `📋 نوع: ${messageType}\n` +
-          `🕐 زمان: ${new Date().toLocaleString('fa-IR')}\n\n` +
-          `💡 برای غیرفعال کردن اطلاع‌رسانی: /notifyoff`
-        );
-      }
+// Media types that Telegram accepts inside sendMediaGroup
+const ALBUM_MEDIA_TYPES = ['photo', 'video', 'document', 'audio'];
+
+// Split sorted backups into single posts and albums (max 10 items per album)
+function groupMediaAlbums(backups) {
+  const groups = [];
+  
+  for (const backup of backups) {
+    const last = groups[groups.length - 1];
+    const groupable = backup.media_group_id && ALBUM_MEDIA_TYPES.includes(getBackupType(backup));
+    
+    if (groupable && last && last.length < 10 && last[0].media_group_id === backup.media_group_id) {
+      last.push(backup);
+    } else {
+      groups.push([backup]);
     }
-  } catch (err) {
-    console.error('Error notifying owners:', err);
   }
+  
+  return groups;
 }
 
-// Periodic check for new messages in all channels (every 24 hours)
-async function periodicBackupCheck(DB, token) {
-  try {
-    console.log('Starting periodic backup check...');
-    
-    // Get all users
-    const allUsers = await DB.list({ prefix: 'user:' });
-    let totalChecked = 0;
-    let totalBacked = 0;
-    
-    for (const key of allUsers.keys) {
-      const userData = JSON.parse(await DB.get(key.name));
-      const userId = key.name.replace('user:', '');
-      
-      if (!userData.channels || userData.channels.length === 0) continue;
-      
-      for (const channel of userData.channels) {
-        try {
-          totalChecked++;
-          
-          // Get latest backed up message
-          const backupKeys = await DB.list({ prefix: `backup:${channel.id}:` });
-          let latestBackupId = 0;
-          
-          for (const bKey of backupKeys.keys) {
-            const msgId = parseInt(bKey.name.split(':')[2]);
-            if (msgId > latestBackupId) latestBackupId = msgId;
-          }
-          
-          // Try to check for new messages
-          let newBackups = 0;
-          const checkRange = 100; // Check last 100 message IDs
-          
-          for (let msgId = latestBackupId + 1; msgId <= latestBackupId + checkRange; msgId++) {
-            try {
-              // Try to forward message to check if exists
-              const fwdResult = await telegramRequest(token, 'forwardMessage', {
-                chat_id: channel.id,
-                from_chat_id: channel.id,
-                message_id: msgId
-              });
-              
-              if (fwdResult.ok) {
-                // Delete forwarded message
-                await telegramRequest(token, 'deleteMessage', {
-                  chat_id: channel.id,
-                  message_id: fwdResult.result.message_id
-                });
-                
-                // Check if already backed up
-                if (await isMessageBackedUp(DB, channel.id, msgId)) continue;
-                
-                // Save backup
-                const backupData = {
-                  message_id: msgId,
-                  date: fwdResult.result.date || Date.now(),
-                  backed_up: true,
-                  periodic_backup: true
-                };
-                
-                await saveBackupMessage(DB, channel.id, msgId, backupData);
-                newBackups++;
-                totalBacked++;
-                
-                await new Promise(resolve => setTimeout(resolve, 200));
-              }
-            } catch (err) {
-              // Message doesn't exist or error, continue
-            }
-          }
-          
-          // Notify user if new backups found
-          if (newBackups > 0) {
-            await sendMessage(token, userId,
-              `🔄 <b>بکاپ دوره‌ای 24 ساعته</b>\n\n` +
-              `📺 کانال: <b>${channel.title}</b>\n` +
-              `💾 بکاپ جدید: ${newBackups} پیام\n` +
-              `📊 آخرین بررسی: ${new Date().toLocaleString('fa-IR')}`
-            );
-          }
-          
-        } catch (err) {
-          console.error(`Error checking channel ${channel.id}:`, err);
-        }
-        
-        // Rate limiting between channels
-        await new Promise(resolve => setTimeout(resolve, 1000));
-      }
+// Build the sendMediaGroup payload, keeping each caption on its own item
+function buildAlbumMedia(items, captionPrefix = '') {
+  return items.map((item, index) => {
+    const type = getBackupType(item);
+    const prefix = index === 0 ? captionPrefix : '';
+    return {
+      type,
+      media: item[type],
+      caption: (prefix + (item.caption || '')) || undefined,
+      caption_entities: shiftEntities(item.caption_entities, prefix.length)
+    };
+  });
+}
+
+// Send one backup to a chat, optionally prefixed with a header line
+export async function sendBackup(token, chatId, backup, header = '', extra = {}, blobs = null) {
+  const request = buildSendRequest(backup, chatId);
+  if (!request) {
+    return { ok: false, unsupported: true };
+  }
+  
+  const body = { ...request.body, ...extra };
+  if (header) {
+    if (body.text !== undefined) {
+      body.text = header + body.text;
+      body.entities = shiftEntities(body.entities, header.length);
+    } else if (body.caption !== undefined) {
+      body.caption = header + body.caption;
+      body.caption_entities = shiftEntities(body.caption_entities, header.length);
+    } else {
+      // Stickers, polls, locations and the like can't carry a caption
+      await telegramRequest(token, 'sendMessage', { chat_id: chatId, text: header.trim() });
+    }
+  }
+  
+  let result = await telegramRequest(token, request.method, body);
+  
+  // The file_id stopped working, upload our stored copy instead
+  if (!result.ok && blobs && backup.blob && FILE_ID_ERROR_PATTERN.test(result.description || '')) {
+    const stored = await blobs.get(backup.blob.key);
+    if (stored) {
+      const field = getBackupType(backup);
+      result = await telegramUpload(token, request.method, { ...body, [field]: undefined }, {
+        field,
+        name: backup.blob.file_name,
+        content: stored.content,
+        type: backup.blob.mime_type
+      });
     }
-    
-    console.log(`Periodic check completed: ${totalChecked} channels, ${totalBacked} new backups`);
-    
-  } catch (err) {
-    console.error('Error in periodic backup check:', err);
   }
+  
+  return { ok: result.ok, error: result.description, result: result.result };
 }
 
-// Handle backup restoration
-async function restoreBackup(token, DB, sourceChannelId, targetChannelId) {
-  const backups = await getChannelBackups(DB, sourceChannelId);
-  let restored = 0;
+// Send an album, re-uploading stored copies if its file_ids stopped working
+export async function sendAlbum(token, chatId, items, header = '', extra = {}, blobs = null) {
+  const media = buildAlbumMedia(items, header);
+  let response = await telegramRequest(token, 'sendMediaGroup', { chat_id: chatId, media, ...extra });
   
-  for (const backup of backups) {
-    try {
-      if (backup.text) {
-        await sendMessage(token, targetChannelId, backup.text);
-        restored++;
-      } else if (backup.photo) {
-        await telegramRequest(token, 'sendPhoto', {
-          chat_id: targetChannelId,
-          photo: backup.photo,
-          caption: backup.caption || ''
-        });
-        restored++;
-      } else if (backup.video) {
-        await telegramRequest(token, 'sendVideo', {
-          chat_id: targetChannelId,
-          video: backup.video,
-          caption: backup.caption || ''
-        });
-        restored++;
-      } else if (backup.document) {
-        await telegramRequest(token, 'sendDocument', {
-          chat_id: targetChannelId,
-          document: backup.document,
-          caption: backup.caption || ''
-        });
-        restored++;
-      } else if (backup.audio) {
-        await telegramRequest(token, 'sendAudio', {
-          chat_id: targetChannelId,
-          audio: backup.audio,
-          caption: backup.caption || ''
-        });
-        restored++;
-      } else if (backup.animation) {
-        await telegramRequest(token, 'sendAnimation', {
-          chat_id: targetChannelId,
-          animation: backup.animation,
-          caption: backup.caption || ''
-        });
-        restored++;
-      } else if (backup.sticker) {
-        await telegramRequest(token, 'sendSticker', {
-          chat_id: targetChannelId,
-          sticker: backup.sticker
-        });
-        restored++;
-      }
+  if (!response.ok && blobs && items.some(item => item.blob) && FILE_ID_ERROR_PATTERN.test(response.description || '')) {
+    const files = [];
+    
+    for (let i = 0; i < items.length; i++) {
+      if (!items[i].blob) continue;
+      const stored = await blobs.get(items[i].blob.key);
+      if (!stored) continue;
       
-      // Rate limiting
-      await new Promise(resolve => setTimeout(resolve, 100));
-    } catch (err) {
-      console.error('Error restoring message:', err);
+      const field = `file${i}`;
+      media[i] = { ...media[i], media: `attach://${field}` };
+      files.push({ field, name: items[i].blob.file_name, content: stored.content, type: items[i].blob.mime_type });
+    }
+    
+    if (files.length > 0) {
+      response = await telegramUpload(token, 'sendMediaGroup', { chat_id: chatId, media, ...extra }, files);
     }
   }
   
-  return restored;
+  return response;
 }
 
-// Resolve channel username to ID
-async function resolveChannelId(token, channelInput) {
-  if (channelInput.startsWith('@')) {
-    try {
-      const result = await telegramRequest(token, 'getChat', { 
-        chat_id: channelInput 
-      });
-      if (result.ok) {
-        return result.result.id.toString();
-      }
-    } catch (err) {
-      return null;
-    }
+// Content fields of a message that make up one version of a backup
+function extractMessageContent(message) {
+  return {
+    text: message.text,
+    entities: message.entities || null,
+    caption: message.caption,
+    caption_entities: message.caption_entities || null,
+    photo: message.photo ? message.photo[message.photo.length - 1].file_id : null,
+    video: message.video ? message.video.file_id : null,
+    document: message.document ? message.document.file_id : null,
+    audio: message.audio ? message.audio.file_id : null,
+    voice: message.voice ? message.voice.file_id : null,
+    video_note: message.video_note ? message.video_note.file_id : null,
+    sticker: message.sticker ? message.sticker.file_id : null,
+    animation: message.animation ? message.animation.file_id : null,
+    poll: message.poll ? {
+      question: message.poll.question,
+      options: message.poll.options.map(option => option.text),
+      type: message.poll.type,
+      allows_multiple_answers: message.poll.allows_multiple_answers,
+      correct_option_id: message.poll.correct_option_id,
+      explanation: message.poll.explanation
+    } : null,
+    venue: message.venue ? {
+      latitude: message.venue.location.latitude,
+      longitude: message.venue.location.longitude,
+      title: message.venue.title,
+      address: message.venue.address,
+      foursquare_id: message.venue.foursquare_id,
+      foursquare_type: message.venue.foursquare_type,
+      google_place_id: message.venue.google_place_id,
+      google_place_type: message.venue.google_place_type
+    } : null,
+    location: message.location ? {
+      latitude: message.location.latitude,
+      longitude: message.location.longitude
+    } : null,
+    contact: message.contact ? {
+      phone_number: message.contact.phone_number,
+      first_name: message.contact.first_name,
+      last_name: message.contact.last_name,
+      vcard: message.contact.vcard
+    } : null,
+    dice: message.dice ? { emoji: message.dice.emoji } : null,
+    // Filled in by the caller when file storage is on, kept per version
+    blob: null,
+    file_size: (message.video || message.document || message.audio || message.animation || message.voice || message.video_note)?.file_size ||
+      (message.photo ? message.photo[message.photo.length - 1].file_size : null) || null,
+    unsupported_type: UNSUPPORTED_MESSAGE_TYPES.find(type => message[type]) || null
+  };
+}
+
+// Which earlier post a message replies to, with a snippet for when it can't be linked
+function extractReplyInfo(message) {
+  const parent = message.reply_to_message;
+  if (!parent) {
+    return { reply_to_message_id: null, reply_to_text: null };
   }
   
-  if (channelInput.match(/^-?\d+$/)) {
-    return channelInput;
-  }
+  const parentText = parent.text || parent.caption || '';
+  return {
+    reply_to_message_id: parent.message_id,
+    reply_to_text: parentText ? parentText.slice(0, 100) : null
+  };
+}
+
+// Shift formatting entities so they still line up after a prefix is added
+function shiftEntities(entities, offset) {
+  if (!entities) return undefined;
+  return entities.map(entity => ({ ...entity, offset: entity.offset + offset }));
+}
+
+// Check file size limit (25MB)
+const MAX_BACKUP_FILE_SIZE = 25 * 1024 * 1024;
+
+function isFileTooLarge(message) {
+  const fileSize = message.video?.file_size || message.document?.file_size || message.audio?.file_size || 0;
+  return fileSize > MAX_BACKUP_FILE_SIZE;
+}
+
+// Message kinds Telegram won't let a bot recreate
+const UNSUPPORTED_MESSAGE_TYPES = ['story', 'game', 'invoice', 'giveaway', 'giveaway_winners', 'paid_media'];
+
+// Why a backup would be skipped by a restore, or null if it can be sent
+function getRestoreSkipReason(backup) {
+  if (backup.unsupported_type) return 'unsupported';
+  if (!getBackupType(backup)) return 'missing_file';
+  if (backup.text && backup.text.length > 4096) return 'oversize';
+  if (backup.caption && backup.caption.length > 1024) return 'oversize';
+  if (backup.file_size && backup.file_size > MAX_BACKUP_FILE_SIZE) return 'oversize';
   return null;
 }
 
-// Handle Telegram updates
-export async function handleUpdate(update, env, context) {
-  const token = env.TELEGRAM_BOT_TOKEN;
-  const DB = env.DB;
-  
-  if (!token || !DB) {
-    console.error('Environment not configured properly');
-    return;
+const RESTORE_SKIP_LABELS = {
+  missing_file: '📭 بدون فایل یا محتوا',
+  unsupported: '🚫 نوع پشتیبانی‌نشده',
+  oversize: '📏 بزرگ‌تر از حد مجاز'
+};
+
+// Resolve which version of a backup to restore ('latest' or 'original')
+function getBackupVersion(backup, version = 'latest') {
+  if (version === 'original' && backup.versions && backup.versions.length > 0) {
+    const { edit_date, ...original } = backup.versions[0];
+    return { ...backup, ...original, edit_date: null };
   }
-  
-  // Handle callback queries (button clicks)
-  if (update.callback_query) {
-    const callbackQuery = update.callback_query;
-    const userId = callbackQuery.from.id;
-    const chatId = callbackQuery.message.chat.id;
-    const data = callbackQuery.callback_data;
-    
-    try {
-      // Answer callback query to remove loading state
-      await telegramRequest(token, 'answerCallbackQuery', {
-        callback_query_id: callbackQuery.id,
-        text: '⏳ در حال پردازش...'
-      });
-      
-      if (data.startsWith('restore_source:')) {
-        const sourceId = data.replace('restore_source:', '');
-        
-        // Save selected source channel
-        await DB.put(`restore_temp:${userId}:source`, sourceId);
-        
-        const userData = await getUserData(DB, userId);
-        const sourceChannel = userData.channels.find(ch => ch.id === sourceId);
-        
-        if (!sourceChannel) {
-          await sendMessage(token, chatId, '❌ خطا: کانال یافت نشد!');
-          return;
-        }
-        
-        await sendMessage(token, chatId,
-          '✅ <b>کانال مبدا انتخاب شد</b>\n\n' +
-          '📺 <b>' + sourceChannel.title + '</b>\n' +
-          '🆔 <code>' + sourceId + '</code>\n\n' +
-          '━━━━━━━━━━━━━━━━\n\n' +
-          '🔹 <b>مرحله 2:</b> ID یا username کانال مقصد را ارسال کنید:\n\n' +
-          '<b>مثال‌ها:</b>\n' +
-          '• <code>@newchannel</code>\n' +
-          '• <code>-1001234567890</code>\n\n' +
-          '⚠️ <b>توجه:</b> ربات باید در کانال مقصد ادمین باشد.'
-        );
-        
-        // Set state for next message
-        await DB.put(`restore_state:${userId}`, 'waiting_target');
-      }
-    } catch (err) {
-      console.error('Callback query error:', err);
-      await telegramRequest(token, 'answerCallbackQuery', {
-        callback_query_id: callbackQuery.id,
-        text: '❌ خطا در پردازش!',
-        show_alert: true
+  return backup;
+}
+
+// Full edit history of a backup, oldest first
+function getBackupHistory(backup) {
+  const current = { ...extractBackupContent(backup), edit_date: backup.edit_date || null };
+  return [...(backup.versions || []), current];
+}
+
+// Pick the content fields out of a stored backup record
+function extractBackupContent(backup) {
+  const content = {};
+  for (const field of Object.keys(extractMessageContent({}))) {
+    content[field] = backup[field] ?? null;
+  }
+  return content;
+}
+
+// Media types whose bytes can be kept in the blob store
+const FILE_BACKUP_TYPES = ['photo', 'video', 'animation', 'document', 'audio', 'voice', 'video_note', 'sticker'];
+
+// getFile only serves files up to 20MB to bots
+const MAX_BLOB_FILE_SIZE = 20 * 1024 * 1024;
+
+// Errors Telegram returns when a stored file_id can no longer be sent
+const FILE_ID_ERROR_PATTERN = /wrong (?:remote )?file identifier|file reference|FILE_REFERENCE|MEDIA_EMPTY|file_id/i;
+
+// Blob store backed by an R2 bucket binding
+function createR2BlobStore(bucket) {
+  return {
+    async put(key, content, meta) {
+      await bucket.put(key, content, {
+        httpMetadata: { contentType: meta.mime_type },
+        customMetadata: { file_name: meta.file_name }
       });
+    },
+    async get(key) {
+      const object = await bucket.get(key);
+      if (!object) return null;
+      return {
+        content: await object.arrayBuffer(),
+        type: object.httpMetadata?.contentType || null,
+        name: object.customMetadata?.file_name || null
+      };
+    },
+    // Like get, but content is a stream for passing straight into a Response
+    async open(key) {
+      const object = await bucket.get(key);
+      if (!object) return null;
+      return {
+        content: object.body,
+        type: object.httpMetadata?.contentType || null,
+        name: object.customMetadata?.file_name || null
+      };
+    },
+    async delete(key) {
+      await bucket.delete(key);
     }
-    
-    return; // Important: Stop processing after handling callback
+  };
+}
+
+// Blob store that lives in memory, for local runs and tests
+function createMemoryBlobStore() {
+  const files = new Map();
+  return {
+    async put(key, content, meta) {
+      files.set(key, { content, type: meta.mime_type, name: meta.file_name });
+    },
+    async get(key) {
+      return files.get(key) || null;
+    },
+    async open(key) {
+      return files.get(key) || null;
+    },
+    async delete(key) {
+      files.delete(key);
+    }
+  };
+}
+
+let memoryBlobStore = null;
+
+// Pick the blob store configured for this deployment, or null when file storage is off
+export function getBlobStore(env) {
+  if (env.BACKUP_FILES) {
+    return createR2BlobStore(env.BACKUP_FILES);
   }
+  if (env.BLOB_STORE === 'memory') {
+    memoryBlobStore = memoryBlobStore || createMemoryBlobStore();
+    return memoryBlobStore;
+  }
+  return null;
+}
+
+// Open a file the bot can see through getFile; content is the response body, not yet read
+async function openTelegramFile(token, fileId) {
+  const fileInfo = await telegramRequest(token, 'getFile', { file_id: fileId });
+  if (!fileInfo.ok) return null;
   
-  const message = update.message || update.channel_post;
-  if (!message) return;
+  const response = await fetch(`https://api.telegram.org/file/bot${token}/${fileInfo.result.file_path}`);
+  if (!response.ok) return null;
   
-  const userId = message.from?.id;
-  const chatId = message.chat.id;
-  const text = message.text || '';
+  return { path: fileInfo.result.file_path, content: response.body };
+}
+
+// Download a file the bot can see through getFile
+async function downloadTelegramFile(token, fileId) {
+  const file = await openTelegramFile(token, fileId);
+  return file && { path: file.path, content: await new Response(file.content).arrayBuffer() };
+}
+
+// The file of a message that can be kept in the blob store, with the key its copy is stored under
+function getStorableFile(channelId, message) {
+  const type = FILE_BACKUP_TYPES.find(t => message[t]);
+  if (!type) return null;
   
-  // Handle channel posts (automatic backup)
-  if (update.channel_post) {
-    await backupChannelPost(DB, token, message);
-    return;
+  const media = type === 'photo' ? message.photo[message.photo.length - 1] : message[type];
+  return { type, media, key: `files/${channelId}/${media.file_unique_id}` };
+}
+
+// The stored copy an edit can keep: caption-only edits carry the same file
+function keepStoredFile(channelId, message, existingBlob) {
+  const file = getStorableFile(channelId, message);
+  return file && existingBlob?.key === file.key ? existingBlob : null;
+}
+
+// Queue a copy of a saved backup's file so restores don't depend on its file_id; the download runs as a task
+async function queueMessageFile(token, DB, context, blobs, channelId, messageId, message) {
+  if (!blobs) return;
+  
+  const file = getStorableFile(channelId, message);
+  if (!file || (file.media.file_size && file.media.file_size > MAX_BLOB_FILE_SIZE)) return;
+  
+  await startTask(token, DB, context, {
+    kind: 'store_file',
+    channel_id: channelId,
+    message_id: messageId,
+    type: file.type,
+    file_id: file.media.file_id,
+    key: file.key,
+    file_name: file.media.file_name || null,
+    mime_type: file.media.mime_type || null
+  }, blobs);
+}
+
+// Download a queued file into the blob store and link it to the backup versions that still carry it
+async function runStoreFileSlice(token, DB, task, blobs) {
+  if (!blobs) throw new Error('File storage is not configured');
+  
+  const file = await downloadTelegramFile(token, task.file_id);
+  if (!file) throw new Error('File download failed');
+  
+  const blob = {
+    key: task.key,
+    file_name: task.file_name || file.path.split('/').pop(),
+    mime_type: task.mime_type || 'application/octet-stream',
+    size: file.content.byteLength
+  };
+  await blobs.put(task.key, file.content, blob);
+  
+  // The post may have been edited since; older versions keep their own copy
+  const backup = await getBackupMessage(DB, task.channel_id, task.message_id);
+  if (!backup) throw new Error('Backup not found');
+  
+  if (backup[task.type] === task.file_id) backup.blob = blob;
+  for (const version of backup.versions || []) {
+    if (version[task.type] === task.file_id) version.blob = blob;
   }
+  await saveBackupMessage(DB, task.channel_id, task.message_id, backup);
   
-  // Handle private messages (bot commands)
-  if (!userId) return;
+  task.status = 'completed';
+}
+
+// Enhanced backup for channel posts with file info
+async function backupChannelPost(DB, token, context, message, blobs = null) {
+  const channelId = message.chat.id;
+  const messageId = message.message_id;
+
+  if (isFileTooLarge(message)) {
+    await notifyChannelOwners(DB, token, channelId, messageId, null, 'file_too_large');
+    return { success: false, reason: 'file_too_large' };
+  }
+
+  const backupData = {
+    message_id: messageId,
+    date: message.date,
+    ...extractMessageContent(message),
+    media_group_id: message.media_group_id || null,
+    ...extractReplyInfo(message),
+    backed_up: true,
+    auto_backup: true
+  };
+
+  await saveBackupMessage(DB, channelId, messageId, backupData);
+  await queueMessageFile(token, DB, context, blobs, channelId, messageId, message);
   
-  // Check if user is in restore flow
-  const restoreState = await DB.get(`restore_state:${userId}`);
+  // Notify channel owners about new backup
+  await notifyChannelOwners(DB, token, channelId, messageId, backupData);
   
-  if (restoreState === 'waiting_target' && text && !text.startsWith('/')) {
-    const sourceId = await DB.get(`restore_temp:${userId}:source`);
-    const targetId = await resolveChannelId(token, text.trim());
-    
-    if (!targetId) {
-      await sendMessage(token, chatId, 
-        '❌ فرمت کانال نامعتبر است!\n\n' +
-        'لطفا ID یا username صحیح وارد کنید.'
-      );
-      return;
-    }
-    
-    try {
-      const sourceChat = await telegramRequest(token, 'getChat', { chat_id: sourceId });
-      const targetChat = await telegramRequest(token, 'getChat', { chat_id: targetId });
-      
-      if (!sourceChat.ok || !targetChat.ok) {
-        await sendMessage(token, chatId, 
-          '❌ خطا در دسترسی!\n\n' +
-          'مطمئن شوید ربات در هر دو کانال ادمین است.'
-        );
-        return;
-      }
-      
-      const backupCount = (await DB.list({ prefix: `backup:${sourceId}:` })).keys.length;
-      
-      if (backupCount === 0) {
-        await sendMessage(token, chatId, '❌ هیچ بکاپی یافت نشد!');
-        await DB.delete(`restore_state:${userId}`);
-        await DB.delete(`restore_temp:${userId}:source`);
-        return;
-      }
-      
-      const initialRestoreMsg = await sendMessage(token, chatId, 
-        '🔄 <b>شروع بازیابی...</b>\n\n' +
-        '📺 مبدا: <b>' + sourceChat.result.title + '</b>\n' +
-        '📺 مقصد: <b>' + targetChat.result.title + '</b>\n' +
-        '💾 تعداد کل: ' + backupCount + ' پیام\n\n' +
-        '📊 پیشرفت: 0%\n' +
-        '━░░░░░░░░░░░░░░░░░░░━\n\n' +
-        '⏳ در حال انتقال...'
-      );
-      
-      let restoreStatusMessageId = null;
-      if (initialRestoreMsg.ok) {
-        restoreStatusMessageId = initialRestoreMsg.result.message_id;
+  return { success: true };
+}
+
+// Store an edited channel post as a new version of its backup
+async function backupEditedChannelPost(DB, token, context, message, blobs = null) {
+  const channelId = message.chat.id;
+  const messageId = message.message_id;
+
+  if (isFileTooLarge(message)) {
+    return { success: false, reason: 'file_too_large' };
+  }
+
+  const existing = await getBackupMessage(DB, channelId, messageId);
+  
+  // Edited before we ever saw it, keep the edit as the first known version
+  if (!existing) {
+    await saveBackupMessage(DB, channelId, messageId, {
+      message_id: messageId,
+      date: message.date,
+      ...extractMessageContent(message),
+      media_group_id: message.media_group_id || null,
+      ...extractReplyInfo(message),
+      edit_date: message.edit_date,
+      versions: [],
+      backed_up: true,
+      auto_backup: true
+    });
+    await queueMessageFile(token, DB, context, blobs, channelId, messageId, message);
+    return { success: true, created: true };
+  }
+
+  // Edits that only touch the reply markup carry the same content
+  if (isSameBackupContent(existing, extractMessageContent(message))) {
+    return { success: true, created: false, unchanged: true };
+  }
+
+  // Move the current content into the history before overwriting it
+  const previous = { ...extractBackupContent(existing), edit_date: existing.edit_date || null };
+  
+  const backupData = {
+    ...existing,
+    ...extractMessageContent(message),
+    blob: keepStoredFile(channelId, message, existing.blob),
+    edit_date: message.edit_date,
+    versions: [...(existing.versions || []), previous]
+  };
+
+  await saveBackupMessage(DB, channelId, messageId, backupData);
+  if (!backupData.blob) {
+    await queueMessageFile(token, DB, context, blobs, channelId, messageId, message);
+  }
+  return { success: true, created: false };
+}
+
+// Whether two versions hold the same text, formatting and media (stored files aside)
+function isSameBackupContent(a, b) {
+  return Object.keys(extractMessageContent({}))
+    .filter(field => field !== 'blob' && field !== 'file_size')
+    .every(field => JSON.stringify(a[field] ?? null) === JSON.stringify(b[field] ?? null));
+}
+
+// Telegram Desktop entity types mapped to Bot API entity types
+const DESKTOP_ENTITY_TYPES = {
+  bold: 'bold',
+  italic: 'italic',
+  underline: 'underline',
+  strikethrough: 'strikethrough',
+  spoiler: 'spoiler',
+  code: 'code',
+  pre: 'pre',
+  blockquote: 'blockquote',
+  text_link: 'text_link',
+  link: 'url',
+  mention: 'mention',
+  hashtag: 'hashtag',
+  cashtag: 'cashtag',
+  bot_command: 'bot_command',
+  email: 'email',
+  phone: 'phone_number',
+  bank_card: 'bank_card',
+  custom_emoji: 'custom_emoji'
+};
+
+// Rebuild plain text and UTF-16 based entities from Desktop's text_entities parts
+function convertDesktopText(parts) {
+  if (typeof parts === 'string') {
+    return { text: parts, entities: null };
+  }
+  
+  let text = '';
+  const entities = [];
+  
+  for (const part of parts || []) {
+    const partText = typeof part === 'string' ? part : part.text || '';
+    const type = typeof part === 'string' ? null : DESKTOP_ENTITY_TYPES[part.type];
+    
+    if (type && partText.length > 0) {
+      const entity = { type, offset: text.length, length: partText.length };
+      if (type === 'text_link') entity.url = part.href;
+      if (type === 'custom_emoji') entity.custom_emoji_id = part.document_id;
+      if (type === 'pre' && part.language) entity.language = part.language;
+      if (type !== 'text_link' || entity.url) entities.push(entity);
+    }
+    text += partText;
+  }
+  
+  return { text, entities: entities.length > 0 ? entities : null };
+}
+
+// Convert one message of a Telegram Desktop "Export chat history" result.json
+function convertDesktopMessage(message, textsById) {
+  const { text, entities } = convertDesktopText(message.text_entities || message.text);
+  const hasMedia = !!(message.photo || message.file || message.media_type);
+  
+  // Desktop exports only reference local files, so there is no file_id to restore
+  const importedMedia = hasMedia ? {
+    kind: message.photo ? 'photo' : message.media_type || 'document',
+    path: message.photo || message.file || null,
+    file_name: message.file_name || null,
+    mime_type: message.mime_type || null
+  } : null;
+  
+  const location = message.location_information
+    ? { latitude: message.location_information.latitude, longitude: message.location_information.longitude }
+    : null;
+  const contact = message.contact_information ? {
+    phone_number: message.contact_information.phone_number,
+    first_name: message.contact_information.first_name,
+    last_name: message.contact_information.last_name || undefined
+  } : null;
+  
+  const parentText = message.reply_to_message_id ? textsById.get(message.reply_to_message_id) : null;
+  
+  return {
+    message_id: message.id,
+    date: parseInt(message.date_unixtime) || Math.floor(Date.parse(message.date) / 1000),
+    text: hasMedia ? undefined : text || undefined,
+    entities: hasMedia ? null : entities,
+    caption: hasMedia ? text || undefined : undefined,
+    caption_entities: hasMedia ? entities : null,
+    poll: message.poll ? {
+      question: message.poll.question,
+      options: (message.poll.answers || []).map(answer => answer.text),
+      type: 'regular',
+      allows_multiple_answers: false
+    } : null,
+    venue: location && message.place_name ? {
+      ...location,
+      title: message.place_name,
+      address: message.address || ''
+    } : null,
+    location,
+    contact,
+    edit_date: parseInt(message.edited_unixtime) || null,
+    reply_to_message_id: message.reply_to_message_id || null,
+    reply_to_text: parentText ? parentText.slice(0, 100) : null,
+    imported_media: importedMedia,
+    backed_up: true,
+    imported: true
+  };
+}
+
+// Converted Desktop messages are stored in chunks of this size, one chunk per task slice
+const IMPORT_CHUNK_SIZE = 200;
+const IMPORT_CHUNK_TTL = 7 * 24 * 60 * 60;
+
+// Import a Telegram Desktop export in the background: the first slice downloads and converts it, the rest import it chunk by chunk
+async function startDesktopImport(token, DB, context, chatId, channelId, fileId) {
+  return startTask(token, DB, context, {
+    kind: 'import',
+    chat_id: chatId,
+    channel_id: channelId,
+    file_id: fileId,
+    chunks: null,
+    chunk: 0,
+    imported: 0,
+    skipped: 0,
+    ignored: 0
+  });
+}
+
+// Download an uploaded Desktop export and store it converted in chunks; returns false if the file was rejected
+async function prepareDesktopImport(token, DB, task) {
+  const reject = async (text) => {
+    task.status = 'failed';
+    task.error = 'invalid_file';
+    await sendMessage(token, task.chat_id, text);
+    return false;
+  };
+  
+  const fileInfo = await telegramRequest(token, 'getFile', { file_id: task.file_id });
+  if (!fileInfo.ok) {
+    return reject('❌ خطا در دریافت فایل: ' + escapeHTML(fileInfo.description || ''));
+  }
+  
+  const fileResponse = await fetch(`https://api.telegram.org/file/bot${token}/${fileInfo.result.file_path}`);
+  if (!fileResponse.ok) throw new Error(`File download failed: ${fileResponse.status}`);
+  
+  let exportData;
+  try {
+    exportData = await fileResponse.json();
+  } catch (err) {
+    return reject('❌ فایل JSON معتبر نیست!\n\nلطفا فایل <code>result.json</code> را ارسال کنید.');
+  }
+  
+  if (!Array.isArray(exportData?.messages)) {
+    return reject('❌ این فایل خروجی Telegram Desktop نیست!');
+  }
+  
+  // Desktop exports use the channel id without the -100 prefix
+  if (exportData.id && `-100${exportData.id}` !== task.channel_id) {
+    return reject(
+      '❌ این فایل متعلق به کانال دیگری است!\n\n' +
+      '📄 کانال فایل: <b>' + escapeHTML(exportData.name || exportData.id) + '</b>'
+    );
+  }
+  
+  const messages = exportData.messages.filter(message => message.type === 'message');
+  const textsById = new Map();
+  
+  for (const message of messages) {
+    const { text } = convertDesktopText(message.text_entities || message.text);
+    if (text) textsById.set(message.id, text);
+  }
+  
+  // Replies are resolved against the whole export, so the whole file is converted before any chunk is imported
+  let chunks = 0;
+  for (let i = 0; i < messages.length; i += IMPORT_CHUNK_SIZE) {
+    const chunk = messages.slice(i, i + IMPORT_CHUNK_SIZE).map(message => convertDesktopMessage(message, textsById));
+    await DB.put(`import_chunk:${task.id}:${chunks++}`, JSON.stringify(chunk), { expirationTtl: IMPORT_CHUNK_TTL });
+  }
+  
+  task.chunks = chunks;
+  task.ignored = exportData.messages.length - messages.length;
+  await sendMessage(token, task.chat_id, '⏳ در حال وارد کردن ' + exportData.messages.length + ' پیام...');
+  return true;
+}
+
+// Seed backups from the next chunk of an import, skipping ids that are already backed up
+async function runImportSlice(token, DB, task) {
+  if (task.chunks === null) {
+    await prepareDesktopImport(token, DB, task);
+    return;
+  }
+  
+  if (task.chunk < task.chunks) {
+    const data = await DB.get(`import_chunk:${task.id}:${task.chunk}`);
+    if (!data) throw new Error('Import data expired');
+    
+    for (const backup of JSON.parse(data)) {
+      if (await isMessageBackedUp(DB, task.channel_id, backup.message_id)) {
+        task.skipped++;
+        continue;
       }
       
-      // Start background restore
-      context.waitUntil(
-        (async () => {
-          const restored = await restoreBackupWithProgress(
-            token, 
-            DB, 
-            sourceId, 
-            targetId, 
-            userId, 
-            restoreStatusMessageId, 
-            backupCount,
-            targetChat.result.title
-          );
-          
-          if (restoreStatusMessageId) {
-            await telegramRequest(token, 'editMessageText', {
-              chat_id: userId,
-              message_id: restoreStatusMessageId,
-              text: 
-                '✅ <b>بازیابی تکمیل شد!</b>\n\n' +
-                '📊 منتقل شده: ' + restored + ' از ' + backupCount + ' پیام\n' +
-                '📺 مقصد: <b>' + targetChat.result.title + '</b>\n\n' +
-                '━████████████████████━ 100%\n\n' +
-                '🎉 تمام بکاپ‌ها با موفقیت منتقل شدند!',
-              parse_mode: 'HTML'
-            });
-          }
-        })()
-      );
-      
-      // Clean up state
-      await DB.delete(`restore_state:${userId}`);
-      await DB.delete(`restore_temp:${userId}:source`);
-      
-    } catch (err) {
-      console.error('Restore error:', err);
-      await sendMessage(token, chatId, 
-        '❌ خطا در بازیابی!\n\n' +
-        'خطا: ' + err.message
-      );
-      await DB.delete(`restore_state:${userId}`);
-      await DB.delete(`restore_temp:${userId}:source`);
+      await saveBackupMessage(DB, task.channel_id, backup.message_id, backup);
+      task.imported++;
     }
     
-    return;
+    await DB.delete(`import_chunk:${task.id}:${task.chunk}`);
+    task.chunk++;
   }
   
-  if (text.startsWith('/start')) {
-    await sendMessage(token, chatId, 
-      '🤖 <b>به ربات بکاپ‌گیری کانال خوش آمدید!</b>\n\n' +
-      '📋 <b>دستورات موجود:</b>\n' +
-      '/addchannel [کانال] - افزودن کانال\n' +
-      '/manualbackup [کانال] - بکاپ دستی\n' +
-      '/channels - لیست کانال‌ها\n' +
-      '/backup - مشاهده بکاپ‌ها\n' +
-      '/trust [کانال] - نمایش 50 پیام آخر\n' +
-      '/restore - انتقال بکاپ (با دکمه)\n' +
-      '/checkbackup - بررسی پیام‌های جدید\n' +
-      '/notifyoff - غیرفعال کردن اطلاع‌رسانی\n' +
-      '/notifyon - فعال کردن اطلاع‌رسانی\n' +
-      '/removechannel [کانال] - حذف کانال\n' +
-      '/help - راهنمای کامل\n\n' +
-      '💡 <b>نحوه استفاده:</b>\n' +
-      '• <code>/addchannel @mychannel</code>\n' +
-      '• <code>/manualbackup @mychannel</code>\n' +
-      '• سپس پیام‌ها را فوروارد کنید\n\n' +
-      '✨ <b>ویژگی‌های جدید:</b>\n' +
-      '🔹 بکاپ خودکار پیام‌های قبلی\n' +
-      '🔹 اطلاع‌رسانی بکاپ‌های جدید\n' +
-      '🔹 بررسی خودکار هر 24 ساعت\n' +
-      '🔹 بکاپ دستی با فوروارد\n' +
-      '🔹 انتقال آسان با دکمه شیشه‌ای'
-    );
+  if (task.chunk < task.chunks) return;
+  
+  task.status = 'completed';
+  await sendMessage(token, task.chat_id,
+    '✅ <b>وارد کردن تکمیل شد!</b>\n\n' +
+    `💾 وارد شده: ${task.imported} پیام\n` +
+    `⏭ قبلا بکاپ شده: ${task.skipped} پیام\n` +
+    (task.ignored > 0 ? `ℹ️ پیام سرویس (نادیده): ${task.ignored}\n` : '') +
+    '\n⚠️ فایل‌های رسانه‌ای در خروجی Desktop شناسه تلگرامی ندارند و فقط متن آن‌ها قابل مشاهده است.'
+  );
+}
+
+// Per-channel notification modes, in menu order
+const NOTIFY_MODES = ['instant', 'hourly', 'daily', 'errors', 'off'];
+
+const NOTIFY_MODE_LABELS = {
+  instant: '⚡️ فوری',
+  hourly: '🕐 خلاصه ساعتی',
+  daily: '📅 خلاصه روزانه',
+  errors: '⚠️ فقط خطاها',
+  off: '🔕 خاموش'
+};
+
+// How long a digest collects before the scheduled handler sends it
+const DIGEST_INTERVALS = {
+  hourly: 60 * 60 * 1000,
+  daily: 24 * 60 * 60 * 1000
+};
+
+const BACKUP_ERROR_LABELS = {
+  file_too_large: '📏 حجم فایل بیش از 25MB است'
+};
+
+// Notification mode of a user for one channel
+async function getNotifyMode(DB, userId, channelId) {
+  const mode = await DB.get(`notify:${userId}:${channelId}`);
+  if (mode) return mode;
+  
+  // Channels without their own setting follow the /notifyon and /notifyoff switch
+  return (await DB.get(`notify:${userId}`)) === 'off' ? 'off' : 'instant';
+}
+
+// Backups (or failed ones) summarized for a notification: { count, errors, first_id, last_id, types }
+function summarizeBackup(messageId, backupData, error) {
+  const type = backupData ? getBackupType(backupData) || 'text' : null;
+  return {
+    count: error ? 0 : 1,
+    errors: error ? 1 : 0,
+    first_id: messageId,
+    last_id: messageId,
+    types: error ? {} : { [type]: 1 }
+  };
+}
+
+// Queue a summary for the user's pending digest; every call writes its own key, so
+// notifications arriving in parallel never overwrite each other
+async function addToDigest(DB, userId, mode, channel, summary) {
+  const key = `digest:${userId}:${mode}:${Date.now()}:${crypto.randomUUID()}`;
+  await DB.put(key, JSON.stringify({ channel_id: channel.id, title: channel.title, ...summary }));
+}
+
+// Summary message for a collected digest
+function formatDigest(mode, digest) {
+  let text = `📬 <b>${NOTIFY_MODE_LABELS[mode]}</b>\n\n`;
+  
+  for (const entry of Object.values(digest.channels)) {
+    const types = Object.entries(entry.types)
+      .map(([type, count]) => `${BACKUP_TYPE_LABELS[type] || type}: ${count}`)
+      .join('، ');
+    
+    text += `📺 <b>${escapeHTML(entry.title)}</b>\n`;
+    text += `   💾 بکاپ جدید: ${entry.count} پیام (#${entry.first_id} تا #${entry.last_id})\n`;
+    if (types) text += `   📋 ${types}\n`;
+    if (entry.errors > 0) text += `   ⚠️ خطا: ${entry.errors} پیام\n`;
+    text += '\n';
   }
   
-  else if (text.startsWith('/addchannel')) {
-    const parts = text.trim().split(/\s+/);
+  return text + `🕐 از ${new Date(digest.since).toLocaleString('fa-IR')}\n\n` +
+    '⚙️ تنظیمات اطلاع‌رسانی: /notifications';
+}
+
+// Send every digest whose collection period is over
+export async function flushNotificationDigests(DB, token) {
+  // Entry keys are digest:<user>:<mode>:<queued at>:<id>; a digest starts with its oldest entry
+  const digests = new Map();
+  for (const key of await listAllKeys(DB, 'digest:')) {
+    const [, userId, mode, queuedAt] = key.name.split(':');
+    const group = `${userId}:${mode}`;
+    if (!digests.has(group)) digests.set(group, { userId, mode, since: Infinity, keys: [] });
     
-    if (parts.length < 2) {
-      await sendMessage(token, chatId,
-        '📝 <b>راهنمای افزودن کانال:</b>\n\n' +
-        '<b>فرمت دستور:</b>\n' +
-        '<code>/addchannel [کانال]</code>\n\n' +
-        '<b>مثال‌ها:</b>\n' +
-        '• <code>/addchannel @mychannel</code>\n' +
-        '• <code>/addchannel -1001234567890</code>\n\n' +
-        '⚠️ <b>توجه مهم:</b>\n' +
-        '1️⃣ ابتدا ربات را به کانال اضافه کنید\n' +
-        '2️⃣ ربات را ادمین کانال کنید (با دسترسی حذف پیام)\n' +
-        '3️⃣ سپس دستور را با ID یا username کانال ارسال کنید\n\n' +
-        '💡 <b>نکته:</b> برای دریافت ID کانال می‌توانید از @userinfobot استفاده کنید.\n\n' +
-        '✨ <b>قابلیت جدید:</b> تمام پیام‌های قبلی کانال نیز به صورت خودکار بکاپ می‌شود!'
-      );
-      return;
+    const digest = digests.get(group);
+    digest.since = Math.min(digest.since, parseInt(queuedAt));
+    digest.keys.push(key.name);
+  }
+  
+  for (const { userId, mode, since, keys } of digests.values()) {
+    if (Date.now() - since < DIGEST_INTERVALS[mode]) continue;
+    
+    const digest = { since, channels: {} };
+    for (const key of keys) {
+      const data = await DB.get(key);
+      await DB.delete(key);
+      if (!data) continue;
+      
+      const { channel_id: channelId, title, ...summary } = JSON.parse(data);
+      const entry = digest.channels[channelId] || { title, count: 0, errors: 0, first_id: summary.first_id, last_id: summary.last_id, types: {} };
+      entry.count += summary.count;
+      entry.errors += summary.errors;
+      entry.first_id = Math.min(entry.first_id, summary.first_id);
+      entry.last_id = Math.max(entry.last_id, summary.last_id);
+      for (const [type, count] of Object.entries(summary.types)) {
+        entry.types[type] = (entry.types[type] || 0) + count;
+      }
+      digest.channels[channelId] = entry;
     }
     
-    const channelInput = parts[1];
-    await sendMessage(token, chatId, '⏳ در حال بررسی کانال...');
+    try {
+      await sendMessage(token, userId, formatDigest(mode, digest));
+    } catch (err) {
+      console.error(`Error sending digest to ${userId}:`, err);
+    }
+  }
+}
+
+// Deliver a notification to every member of a channel in their chosen mode: instant sends
+// the text from buildText(channel), hourly/daily queue the summary, errors/off skip it
+async function notifyChannelMembers(DB, token, channelId, summary, buildText) {
+  await ensureChannelOwnerIndex(DB);
+  
+  for (const userId of await getChannelMemberIds(DB, channelId)) {
+    const userData = await getUserData(DB, userId);
+    const channel = userData.channels.find(ch => ch.id === String(channelId));
+    if (!channel) continue;
     
-    const channelId = await resolveChannelId(token, channelInput);
-    if (!channelId) {
-      await sendMessage(token, chatId, 
-        '❌ <b>خطا در شناسایی کانال!</b>\n\n' +
-        'لطفا مطمئن شوید:\n' +
-        '• فرمت ورودی صحیح است (@username یا ID)\n' +
-        '• کانال عمومی است یا ربات در آن عضو است'
-      );
-      return;
+    const mode = await getNotifyMode(DB, userId, channel.id);
+    if (mode === 'off' || (mode === 'errors' && !summary.errors)) continue;
+    
+    if (DIGEST_INTERVALS[mode]) {
+      await addToDigest(DB, userId, mode, channel, summary);
+    } else {
+      await sendMessage(token, userId, buildText(channel));
+    }
+  }
+}
+
+// Notify users who own this channel about a new backup, or about one that failed
+async function notifyChannelOwners(DB, token, channelId, messageId, backupData, error = null) {
+  try {
+    await notifyChannelMembers(DB, token, channelId, summarizeBackup(messageId, backupData, error), (channel) => {
+      if (error) {
+        return `⚠️ <b>خطا در بکاپ</b>\n\n` +
+          `📺 کانال: <b>${channel.title}</b>\n` +
+          `📄 پیام: #${messageId}\n` +
+          `❌ علت: ${BACKUP_ERROR_LABELS[error] || error}\n\n` +
+          `⚙️ تنظیمات اطلاع‌رسانی: /notifications`;
+      }
+      
+      // Determine message type
+      const messageType = BACKUP_TYPE_LABELS[getBackupType(backupData)] || BACKUP_TYPE_LABELS.text;
+      
+      return `✅ <b>بکاپ جدید</b>\n\n` +
+        `📺 کانال: <b>${channel.title}</b>\n` +
+        `📄 پیام: #${messageId}\n` +
+        `📋 نوع: ${messageType}\n` +
+        `🕐 زمان: ${new Date().toLocaleString('fa-IR')}\n\n` +
+        `⚙️ تنظیمات اطلاع‌رسانی: /notifications`;
+    });
+  } catch (err) {
+    console.error('Error notifying owners:', err);
+  }
+}
+
+// Settings menu listing each channel with its notification mode
+async function buildNotifySettingsMenu(DB, userId, userData) {
+  const keyboard = [];
+  for (const channel of userData.channels) {
+    const mode = await getNotifyMode(DB, userId, channel.id);
+    keyboard.push([{
+      text: `${channel.title} — ${NOTIFY_MODE_LABELS[mode]}`,
+      callback_data: `notify_channel:${channel.id}`
+    }]);
+  }
+  
+  return {
+    text: '🔔 <b>تنظیمات اطلاع‌رسانی</b>\n\n' +
+      'برای تغییر حالت اطلاع‌رسانی، کانال را انتخاب کنید:',
+    reply_markup: { inline_keyboard: keyboard }
+  };
+}
+
+// Mode buttons for one channel, with the current mode ticked
+function buildNotifyChannelMenu(channel, mode) {
+  return {
+    text: '🔔 <b>اطلاع‌رسانی کانال</b>\n\n' +
+      '📺 <b>' + escapeHTML(channel.title) + '</b>\n' +
+      '📋 حالت فعلی: ' + NOTIFY_MODE_LABELS[mode],
+    reply_markup: {
+      inline_keyboard: [
+        ...NOTIFY_MODES.map(option => [{
+          text: (option === mode ? '✅ ' : '') + NOTIFY_MODE_LABELS[option],
+          callback_data: `notify_set:${channel.id}:${option}`
+        }]),
+        [{ text: '🔙 بازگشت', callback_data: 'notify_menu' }]
+      ]
     }
+  };
+}
+
+// Periodic check for new messages in all channels (every 24 hours)
+export async function periodicBackupCheck(DB, token, storageChatId) {
+  try {
+    console.log('Starting periodic backup check...');
     
-    try {
-      const chatInfo = await telegramRequest(token, 'getChat', { chat_id: channelId });
+    await ensureChannelOwnerIndex(DB);
+    
+    // Every tracked channel is checked once, however many users share it
+    const channelKeys = await listAllKeys(DB, 'channel:');
+    let totalChecked = 0;
+    let totalBacked = 0;
+    
+    for (const key of channelKeys) {
+      const channelId = key.name.replace('channel:', '');
+      const owners = await getChannelMemberIds(DB, channelId);
       
-      if (!chatInfo.ok) {
-        await sendMessage(token, chatId, 
-          '❌ <b>خطا در دسترسی به کانال!</b>\n\n' +
-          'لطفا مطمئن شوید:\n' +
-          '1️⃣ ربات را به کانال اضافه کرده‌اید\n' +
-          '2️⃣ ربات ادمین کانال است\n' +
-          '3️⃣ ربات دسترسی "حذف پیام" دارد\n\n' +
-          '💡 پس از اضافه کردن ربات، چند ثانیه صبر کنید و دوباره تلاش کنید.'
-        );
-        return;
-      }
+      if (owners.length === 0) continue;
       
-      const userData = await getUserData(DB, userId);
+      const ownerData = await getUserData(DB, owners[0]);
+      const channel = ownerData.channels.find(ch => ch.id === channelId) || { id: channelId, title: channelId };
       
-      if (userData.channels.find(ch => ch.id === channelId)) {
-        await sendMessage(token, chatId, 
-          '⚠️ <b>این کانال قبلا اضافه شده است!</b>\n\n' +
-          '📺 نام کانال: <b>' + chatInfo.result.title + '</b>\n' +
-          '🆔 ID: <code>' + channelId + '</code>\n\n' +
-          'برای مشاهده لیست کانال‌ها از دستور /channels استفاده کنید.'
-        );
-        return;
+      try {
+        totalChecked++;
+        
+        // Get latest backed up message
+        const latestBackupId = (await reconcileBackupIndex(DB, channel.id)).last_id;
+        
+        // Try to check for new messages
+        let newBackups = 0;
+        const summary = { count: 0, errors: 0, first_id: 0, last_id: 0, types: {} };
+        const checkRange = 100; // Check last 100 message IDs
+        
+        for (let msgId = latestBackupId + 1; msgId <= latestBackupId + checkRange; msgId++) {
+          try {
+            // Forward into the storage chat to check if it exists
+            const fwdMsg = await probeMessage(token, storageChatId, channel.id, msgId);
+            
+            if (fwdMsg) {
+              // Check if already backed up
+              if (await isMessageBackedUp(DB, channel.id, msgId)) continue;
+              
+              // Save backup
+              const backupData = {
+                ...buildProbedBackup(msgId, fwdMsg),
+                periodic_backup: true
+              };
+              
+              await saveBackupMessage(DB, channel.id, msgId, backupData);
+              newBackups++;
+              totalBacked++;
+              
+              const type = getBackupType(backupData) || 'text';
+              summary.count++;
+              summary.first_id = summary.first_id || msgId;
+              summary.last_id = msgId;
+              summary.types[type] = (summary.types[type] || 0) + 1;
+              
+              await new Promise(resolve => setTimeout(resolve, 200));
+            }
+          } catch (err) {
+            // Message doesn't exist or error, continue
+          }
+        }
+        
+        // Notify members if new backups found, in the mode each of them chose
+        if (newBackups > 0) {
+          await notifyChannelMembers(DB, token, channel.id, summary, (memberChannel) =>
+            `🔄 <b>بکاپ دوره‌ای 24 ساعته</b>\n\n` +
+            `📺 کانال: <b>${memberChannel.title}</b>\n` +
+            `💾 بکاپ جدید: ${newBackups} پیام\n` +
+            `📊 آخرین بررسی: ${new Date().toLocaleString('fa-IR')}`
+          );
+        }
+        
+      } catch (err) {
+        console.error(`Error checking channel ${channel.id}:`, err);
       }
       
-      // Add channel
-      userData.channels.push({
-        id: channelId,
-        title: chatInfo.result.title || 'Unknown Channel',
-        username: chatInfo.result.username || null,
-        added_at: Date.now()
-      });
+      // Rate limiting between channels
+      await new Promise(resolve => setTimeout(resolve, 1000));
+    }
+    
+    console.log(`Periodic check completed: ${totalChecked} channels, ${totalBacked} new backups`);
+    
+  } catch (err) {
+    console.error('Error in periodic backup check:', err);
+  }
+}
+
+// Bump when the archive layout changes
+const EXPORT_FORMAT_VERSION = 1;
+const EXPORT_LINK_TTL = 60 * 60;
+
+// Exports are written in parts of this many records, one part per task slice
+const EXPORT_PART_SIZE = 200;
+const EXPORT_PART_TTL = 24 * 60 * 60;
+
+// Larger archives are only offered as download links
+const EXPORT_DOCUMENT_LIMIT = 1000;
+
+// Start exporting a channel's backups in the background; chatId gets the files when it's done
+async function startChannelExport(token, DB, context, userId, channel, { chatId = null, csv = false, baseUrl = '' } = {}) {
+  return startTask(token, DB, context, {
+    kind: 'export',
+    user_id: userId,
+    chat_id: chatId,
+    channel: {
+      id: channel.id,
+      title: channel.title,
+      username: channel.username || null,
+      added_at: channel.added_at || null
+    },
+    csv,
+    base_url: baseUrl,
+    exported_at: new Date().toISOString(),
+    cursor: 0,
+    until_id: 0,
+    parts: 0,
+    count: 0,
+    export_token: null
+  });
+}
+
+// Write the next part of an export and hand out the download link after the last one
+async function runExportSlice(token, DB, task) {
+  // Posts backed up after the export started are not part of it
+  if (!task.until_id) {
+    task.until_id = (await reconcileBackupIndex(DB, task.channel.id)).last_id;
+  }
+  
+  const pendingIds = await getBackupIds(DB, task.channel.id, task.cursor, task.until_id);
+  const pageIds = pendingIds.slice(0, EXPORT_PART_SIZE);
+  
+  if (pageIds.length > 0) {
+    const messages = await getBackupsByIds(DB, task.channel.id, pageIds);
+    await DB.put(`export_part:${task.id}:${task.parts}`, JSON.stringify(messages), { expirationTtl: EXPORT_PART_TTL });
+    task.parts++;
+    task.count += messages.length;
+    task.cursor = pageIds[pageIds.length - 1];
+  }
+  
+  if (pendingIds.length > pageIds.length) return;
+  
+  task.export_token = await createExportToken(DB, task.user_id, task.channel.id, task.id);
+  task.status = 'completed';
+  if (task.chat_id) {
+    await sendExportResult(token, DB, task);
+  }
+}
+
+// Stream a finished export part by part, as the JSON archive or the CSV index
+function streamChannelExport(DB, task, format) {
+  const encoder = new TextEncoder();
+  
+  return new ReadableStream({
+    async start(controller) {
+      const write = (text) => controller.enqueue(encoder.encode(text));
       
-      await saveUserData(DB, userId, userData);
+      if (format === 'csv') {
+        write('\uFEFF' + EXPORT_CSV_HEADER.join(','));
+      } else {
+        // Same layout as JSON.stringify(archive, null, 2) without holding the archive in memory
+        const header = JSON.stringify({
+          format: 'backup-channel-export',
+          version: EXPORT_FORMAT_VERSION,
+          exported_at: task.exported_at,
+          channel: task.channel,
+          count: task.count
+        }, null, 2);
+        write(header.slice(0, -2) + ',\n  "messages": [');
+      }
       
-      await sendMessage(token, chatId, 
-        '✅ <b>کانال با موفقیت اضافه شد!</b>\n\n' +
-        '📺 نام: <b>' + chatInfo.result.title + '</b>\n' +
-        '🆔 ID: <code>' + channelId + '</code>\n' +
-        (chatInfo.result.username ? '👤 Username: @' + chatInfo.result.username + '\n' : '') +
-        '📅 تاریخ افزودن: ' + new Date().toLocaleString('fa-IR') + '\n\n' +
-        '⏳ <b>در حال شروع بکاپ‌گیری پیام‌های قبلی...</b>\n' +
-        'این فرآیند در پس‌زمینه انجام می‌شود و چند دقیقه طول می‌کشد.'
-      );
-
-      // Start background backup of existing messages
-      context.waitUntil(
-        (async () => {
-          const backupResult = await backupExistingMessages(token, DB, channelId, userId);
-          
-          // Note: backupResult already sends completion message with editMessageText
-          // But we send a summary notification as well
-          if (backupResult.success && backupResult.count > 0) {
-            await sendMessage(token, userId, 
-              '📢 <b>خلاصه بکاپ‌گیری</b>\n\n' +
-              '📺 کانال: <b>' + chatInfo.result.title + '</b>\n' +
-              '💾 جمع بکاپ: ' + backupResult.count + ' پیام\n' +
-              (backupResult.skipped ? '⏭ رد شده: ' + backupResult.skipped + ' پیام\n' : '') +
-              '\n✅ از این لحظه پیام‌های جدید نیز خودکار بکاپ می‌شوند.\n\n' +
-              '📋 دستورات مفید:\n' +
-              '• /trust ' + (chatInfo.result.username ? '@' + chatInfo.result.username : channelId) + ' - مشاهده بکاپ‌ها\n' +
-              '• /backup - آمار کامل\n' +
-              '• /restore - انتقال به کانال جدید'
-            );
+      let first = true;
+      for (let part = 0; part < task.parts; part++) {
+        const data = await DB.get(`export_part:${task.id}:${part}`);
+        if (!data) {
+          controller.error(new Error('Export part expired'));
+          return;
+        }
+        
+        for (const backup of JSON.parse(data)) {
+          if (format === 'csv') {
+            write('\r\n' + buildExportCSVRow(backup));
+          } else {
+            write((first ? '\n' : ',\n') + JSON.stringify(backup, null, 2).replace(/^/gm, '    '));
           }
-        })()
-      );
+          first = false;
+        }
+      }
       
-    } catch (err) {
-      console.error('Error adding channel:', err);
-      await sendMessage(token, chatId, 
-        '❌ <b>خطا در پردازش درخواست!</b>\n\n' +
-        'لطفا:\n' +
-        '• اتصال اینترنت خود را بررسی کنید\n' +
-        '• چند لحظه بعد دوباره تلاش کنید\n' +
-        '• مطمئن شوید ربات در کانال ادمین است\n\n' +
-        'خطا: ' + err.message
-      );
+      if (format !== 'csv') {
+        write((first ? '' : '\n  ') + ']\n}');
+      }
+      controller.close();
     }
+  });
+}
+
+// Send a finished export to the chat that asked for it
+async function sendExportResult(token, DB, task) {
+  const channel = task.channel;
+  
+  if (task.count === 0) {
+    await sendMessage(token, task.chat_id, 
+      '❌ هیچ بکاپی یافت نشد!\n\n' +
+      '📺 کانال: <b>' + channel.title + '</b>'
+    );
+    return;
   }
   
-  else if (text.startsWith('/removechannel')) {
-    const parts = text.trim().split(/\s+/);
-    
-    if (parts.length < 2) {
-      await sendMessage(token, chatId,
-        '🗑 <b>راهنمای حذف کانال:</b>\n\n' +
-        '<b>فرمت دستور:</b>\n' +
-        '<code>/removechannel [کانال]</code>\n\n' +
-        '<b>مثال‌ها:</b>\n' +
-        '• <code>/removechannel @mychannel</code>\n' +
-        '• <code>/removechannel -1001234567890</code>\n\n' +
-        '⚠️ <b>توجه:</b> حذف کانال، بکاپ‌های موجود را پاک نمی‌کند.'
-      );
-      return;
-    }
-    
-    const channelInput = parts[1];
-    const channelId = await resolveChannelId(token, channelInput);
+  let status = '✅ <b>خروجی آماده شد</b>\n\n📦 ' + task.count + ' پیام برای ارسال به صورت فایل زیاد است.';
+  
+  if (task.count <= EXPORT_DOCUMENT_LIMIT) {
+    const jsonResult = await telegramUpload(token, 'sendDocument', {
+      chat_id: task.chat_id,
+      caption: `📦 ${channel.title}\n💾 ${task.count} پیام • نسخه فرمت ${EXPORT_FORMAT_VERSION}`
+    }, {
+      field: 'document',
+      name: getExportFileName(channel, 'json'),
+      content: await new Response(streamChannelExport(DB, task, 'json')).text(),
+      type: 'application/json'
+    });
     
-    if (!channelId) {
-      await sendMessage(token, chatId, '❌ فرمت کانال نامعتبر است!');
-      return;
+    if (task.csv) {
+      await telegramUpload(token, 'sendDocument', {
+        chat_id: task.chat_id,
+        caption: `📋 فهرست CSV - ${channel.title}`
+      }, {
+        field: 'document',
+        name: getExportFileName(channel, 'csv'),
+        content: await new Response(streamChannelExport(DB, task, 'csv')).text(),
+        type: 'text/csv'
+      });
     }
     
-    const userData = await getUserData(DB, userId);
-    const channelIndex = userData.channels.findIndex(ch => ch.id === channelId);
+    status = jsonResult.ok ? '✅ <b>خروجی ارسال شد</b>' : '⚠️ <b>ارسال فایل ناموفق بود</b>: ' + escapeHTML(jsonResult.description || '');
+  }
+  
+  // Short-lived link for downloading the same archive from the web
+  await sendMessage(token, task.chat_id,
+    status + '\n\n' +
+    '🔗 <b>دانلود از وب (اعتبار 1 ساعت):</b>\n' +
+    `<code>${task.base_url}/export/${task.export_token}.json</code>\n` +
+    `<code>${task.base_url}/export/${task.export_token}.csv</code>`
+  );
+}
+
+// Quote a value for CSV output
+function csvField(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+}
+
+// Columns of the CSV index; the file starts with a BOM so spreadsheet apps detect UTF-8 (Persian text)
+const EXPORT_CSV_HEADER = ['message_id', 'date', 'type', 'media_group_id', 'reply_to_message_id', 'edits', 'file_id', 'text'];
+
+// One CSV index row for a backed-up message
+function buildExportCSVRow(backup) {
+  const type = getBackupType(backup);
+  const fileId = type && typeof backup[type] === 'string' && type !== 'text' ? backup[type] : '';
+  return [
+    backup.message_id,
+    backup.date ? new Date(backup.date * 1000).toISOString() : '',
+    type || '',
+    backup.media_group_id || '',
+    backup.reply_to_message_id || '',
+    backup.versions ? backup.versions.length : 0,
+    fileId,
+    backup.text || backup.caption || ''
+  ].map(csvField).join(',');
+}
+
+// File name for an export of a channel
+function getExportFileName(channel, extension) {
+  const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+  return `backup-${channel.username || channel.id}-${date}.${extension}`;
+}
+
+// Labels for restore version choices
+const RESTORE_VERSION_LABELS = {
+  latest: 'آخرین نسخه',
+  original: 'نسخه اصلی'
+};
+
+// Parse restore filters given as key:value tokens
+// (from:YYYY-MM-DD to:YYYY-MM-DD ids:100-200 types:photo,document q:keyword ...)
+// Errors carry a Persian message for the bot plus a reason and the offending token for the API
+export function parseRestoreFilters(tokens) {
+  const filters = {};
+  
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    const separator = token.indexOf(':');
+    const key = separator > 0 ? token.slice(0, separator).toLowerCase() : '';
+    const value = separator > 0 ? token.slice(separator + 1) : '';
     
-    if (channelIndex === -1) {
-      await sendMessage(token, chatId, '❌ این کانال در لیست شما یافت نشد!');
-      return;
+    if (key === 'from' || key === 'to') {
+      const date = value.match(/^\d{4}-\d{2}-\d{2}$/) ? Date.parse(value + 'T00:00:00Z') : NaN;
+      // Date.parse rolls 2024-02-30 over to March, so the day has to survive the round trip
+      if (isNaN(date) || new Date(date).toISOString().slice(0, 10) !== value) return { error: 'تاریخ نامعتبر: ' + token, reason: 'invalid_date', token };
+      // "to" includes the whole day
+      filters[key === 'from' ? 'from_date' : 'to_date'] = date / 1000 + (key === 'to' ? 86399 : 0);
+    } else if (key === 'ids') {
+      const range = value.match(/^(\d*)-(\d*)$/) || value.match(/^(\d+)$/);
+      const lower = range ? range[1] : '';
+      const upper = range ? (range.length > 2 ? range[2] : range[1]) : '';
+      // "-" alone would drop the filter and a reversed range would match nothing
+      if (!range || (!lower && !upper) || (lower && upper && parseInt(lower) > parseInt(upper))) {
+        return { error: 'بازه شناسه نامعتبر: ' + token, reason: 'invalid_id_range', token };
+      }
+      if (lower) filters.from_id = parseInt(lower);
+      if (upper) filters.to_id = parseInt(upper);
+    } else if (key === 'types') {
+      const types = value.split(',').filter(Boolean);
+      const invalid = types.find(type => !BACKUP_TYPES.includes(type));
+      if (invalid || types.length === 0) return { error: 'نوع نامعتبر: ' + (invalid || token) + '\nانواع مجاز: ' + BACKUP_TYPES.join(', '), reason: 'invalid_type', token };
+      filters.types = types;
+    } else if (key === 'q') {
+      // The keyword takes the rest of the line so it can contain spaces
+      filters.keyword = [value, ...tokens.slice(i + 1)].join(' ').trim();
+      if (!filters.keyword) return { error: 'کلمه کلیدی خالی است.', reason: 'empty_keyword', token };
+      break;
+    } else {
+      return { error: 'فیلتر ناشناخته: ' + token, reason: 'unknown_filter', token };
     }
-    
-    const removedChannel = userData.channels[channelIndex];
-    userData.channels.splice(channelIndex, 1);
-    await saveUserData(DB, userId, userData);
-    
+  }
+  
+  return { filters };
+}
+
+// Check whether a backup passes the restore filters
+export function matchesRestoreFilters(backup, filters = {}) {
+  if (filters.from_date && backup.date < filters.from_date) return false;
+  if (filters.to_date && backup.date > filters.to_date) return false;
+  if (filters.from_id && backup.message_id < filters.from_id) return false;
+  if (filters.to_id && backup.message_id > filters.to_id) return false;
+  if (filters.types && !filters.types.includes(getBackupType(backup))) return false;
+  if (filters.keyword) {
+    const body = (backup.text || backup.caption || '').toLowerCase();
+    if (!body.includes(filters.keyword.toLowerCase())) return false;
+  }
+  return true;
+}
+
+// Describe active restore filters for the user
+function formatRestoreFilters(filters = {}) {
+  const formatDate = (seconds) => new Date(seconds * 1000).toISOString().slice(0, 10);
+  const lines = [];
+  
+  if (filters.from_date || filters.to_date) {
+    lines.push('📅 تاریخ: ' + (filters.from_date ? formatDate(filters.from_date) : '…') + ' تا ' + (filters.to_date ? formatDate(filters.to_date) : '…'));
+  }
+  if (filters.from_id || filters.to_id) {
+    lines.push('🔢 شناسه: ' + (filters.from_id || '…') + ' تا ' + (filters.to_id || '…'));
+  }
+  if (filters.types) {
+    lines.push('📋 نوع: ' + filters.types.map(type => BACKUP_TYPE_LABELS[type]).join('، '));
+  }
+  if (filters.keyword) {
+    lines.push('🔍 کلمه کلیدی: ' + escapeHTML(filters.keyword));
+  }
+  
+  return lines.length > 0 ? lines.join('\n') + '\n' : '';
+}
+
+// Backups read at most when counting a filtered selection; larger ranges are estimated from a sample
+const FILTER_COUNT_SAMPLE = 200;
+
+// Count the backups the restore filters select; returns { count, exact }
+async function countFilteredBackups(DB, channelId, filters = {}, version = 'latest') {
+  if (Object.keys(filters).length === 0) {
+    return { count: await getBackupCount(DB, channelId), exact: true };
+  }
+  
+  // The id range narrows the candidates from the index alone
+  const ids = await getBackupIds(DB, channelId, (filters.from_id || 1) - 1, filters.to_id || Infinity);
+  const contentFilters = { ...filters };
+  delete contentFilters.from_id;
+  delete contentFilters.to_id;
+  if (Object.keys(contentFilters).length === 0) return { count: ids.length, exact: true };
+  
+  const exact = ids.length <= FILTER_COUNT_SAMPLE;
+  const step = exact ? 1 : ids.length / FILTER_COUNT_SAMPLE;
+  const sample = [];
+  for (let i = 0; i < ids.length && sample.length < FILTER_COUNT_SAMPLE; i = Math.floor(sample.length * step)) {
+    sample.push(ids[i]);
+  }
+  
+  const backups = await getBackupsByIds(DB, channelId, sample);
+  const matched = backups.filter(backup => matchesRestoreFilters(getBackupVersion(backup, version), contentFilters)).length;
+  return exact
+    ? { count: matched, exact }
+    : { count: Math.round(matched * ids.length / sample.length), exact };
+}
+
+// Show a counted selection, marking estimates
+function formatBackupCount({ count, exact }) {
+  return exact ? String(count) : '~' + count;
+}
+
+// Remove every piece of restore wizard state for a user
+async function clearRestoreState(DB, userId) {
+  await DB.delete(`restore_state:${userId}`);
+  await DB.delete(`restore_temp:${userId}:source`);
+  await DB.delete(`restore_temp:${userId}:target`);
+  await DB.delete(`restore_temp:${userId}:version`);
+  await DB.delete(`restore_temp:${userId}:pending`);
+}
+
+// Count what the filters select and ask the user to confirm before restoring
+async function confirmRestore(token, DB, userId, chatId, { sourceId, targetId, version, filters }) {
+  const sourceChat = await telegramRequest(token, 'getChat', { chat_id: sourceId });
+  const targetChat = await telegramRequest(token, 'getChat', { chat_id: targetId });
+  
+  if (!sourceChat.ok || !targetChat.ok) {
+    await clearRestoreState(DB, userId);
     await sendMessage(token, chatId, 
-      '✅ <b>کانال با موفقیت حذف شد!</b>\n\n' +
-      '📺 نام: <b>' + removedChannel.title + '</b>\n' +
-      '🆔 ID: <code>' + channelId + '</code>\n\n' +
-      '💾 بکاپ‌های این کانال همچنان در سیستم موجود است.'
+      '❌ خطا در دسترسی!\n\n' +
+      'مطمئن شوید ربات در هر دو کانال ادمین است.'
     );
+    return;
   }
   
-  else if (text.startsWith('/channels')) {
-    const userData = await getUserData(DB, userId);
-    
-    if (userData.channels.length === 0) {
-      await sendMessage(token, chatId, 
-        '❌ <b>شما هنوز کانالی اضافه نکرده‌اید!</b>\n\n' +
-        'برای افزودن کانال از دستور زیر استفاده کنید:\n' +
-        '<code>/addchannel @yourchannel</code>'
-      );
-      return;
+  const selection = await countFilteredBackups(DB, sourceId, filters, version);
+  const backupCount = selection.count;
+  
+  // An estimate of zero may still match a few backups outside the sample
+  if (backupCount === 0 && selection.exact) {
+    await sendMessage(token, chatId, 
+      '❌ هیچ بکاپی با این فیلترها یافت نشد!\n\n' +
+      formatRestoreFilters(filters) + '\n' +
+      'فیلترهای دیگری ارسال کنید یا /restore را دوباره شروع کنید.'
+    );
+    return;
+  }
+  
+  await DB.put(`restore_temp:${userId}:pending`, JSON.stringify({
+    sourceId,
+    targetId,
+    sourceTitle: sourceChat.result.title,
+    targetTitle: targetChat.result.title,
+    sourceUsername: sourceChat.result.username,
+    targetUsername: targetChat.result.username,
+    backupCount,
+    version,
+    filters
+  }));
+  await DB.put(`restore_state:${userId}`, 'waiting_confirm');
+  
+  await sendMessage(token, chatId,
+    '📋 <b>خلاصه بازیابی</b>\n\n' +
+    '📺 مبدا: <b>' + sourceChat.result.title + '</b>\n' +
+    '📺 مقصد: <b>' + targetChat.result.title + '</b>\n' +
+    '📝 نسخه: ' + RESTORE_VERSION_LABELS[version] + '\n' +
+    formatRestoreFilters(filters) + '\n' +
+    '💾 تعداد پیام‌های انتخاب‌شده: <b>' + formatBackupCount(selection) + '</b>\n\n' +
+    'شروع شود؟',
+    {
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: '✅ شروع بازیابی', callback_data: 'restore_confirm' }],
+          [{ text: '🧪 پیش‌نمایش (بدون ارسال)', callback_data: 'restore_dryrun' }],
+          [{ text: '❌ انصراف', callback_data: 'restore_cancel' }]
+        ]
+      }
+    }
+  );
+}
+
+// Summarize backups that have no restorable content
+function formatUnsupportedList(messageIds) {
+  const shown = messageIds.slice(0, 20).map(id => '#' + id).join('، ');
+  const more = messageIds.length > 20 ? ' و ' + (messageIds.length - 20) + ' مورد دیگر' : '';
+  return '🚫 غیرقابل بازیابی: ' + messageIds.length + ' پیام (' + shown + more + ')\n';
+}
+
+// Get the target message a source message was restored to
+async function getRestoredMessageId(DB, targetChannelId, sourceChannelId, messageId) {
+  const data = await DB.get(`restore_map:${targetChannelId}:${sourceChannelId}:${messageId}`);
+  return data ? parseInt(data) : null;
+}
+
+// Remember which target message a source message was restored to
+async function saveRestoredMessageId(DB, targetChannelId, sourceChannelId, messageId, targetMessageId) {
+  await DB.put(`restore_map:${targetChannelId}:${sourceChannelId}:${messageId}`, targetMessageId.toString());
+}
+
+// Public t.me/<username>/<id> and private t.me/c/<internal id>/<id> post links, not inside a longer name like at.me
+const POST_LINK_PATTERN = /(?<![\w.])(?:https?:\/\/)?(?:t|telegram)\.me\/(?:c\/(\d+)|([A-Za-z0-9_]{4,}))\/(\d+)/;
+
+// Link to a post in a channel, public if it has a username
+function buildPostLink(channelId, username, messageId) {
+  if (username) return `https://t.me/${username}/${messageId}`;
+  return `https://t.me/c/${String(channelId).replace(/^-100/, '')}/${messageId}`;
+}
+
+// Find the restored counterpart of a post link that points into the source channel
+async function resolvePostLink(DB, job, link) {
+  const match = link.match(POST_LINK_PATTERN);
+  if (!match) return null;
+  
+  const [, internalId, username, messageId] = match;
+  const isSource = internalId
+    ? internalId === String(job.source_id).replace(/^-100/, '')
+    : !!job.source_username && username.toLowerCase() === job.source_username.toLowerCase();
+  if (!isSource) return null;
+  
+  const targetMessageId = await getRestoredMessageId(DB, job.target_id, job.source_id, messageId);
+  return targetMessageId ? buildPostLink(job.target_id, job.target_username, targetMessageId) : null;
+}
+
+// Point links to already-restored source posts at their copies in the target
+export async function rewritePostLinks(DB, job, text, entities) {
+  if (!text) return { text, entities };
+  
+  let newEntities = entities ? entities.map(entity => ({ ...entity })) : entities;
+  
+  // Hidden links keep their offsets, only the URL changes
+  for (const entity of newEntities || []) {
+    if (entity.type === 'text_link') {
+      entity.url = (await resolvePostLink(DB, job, entity.url)) || entity.url;
     }
+  }
+  
+  // Visible links change length, so shift the entities that follow them
+  const matches = [...text.matchAll(new RegExp(POST_LINK_PATTERN.source, 'g'))];
+  let newText = text;
+  
+  for (const match of matches.reverse()) {
+    const replacement = await resolvePostLink(DB, job, match[0]);
+    if (!replacement) continue;
     
-    let channelList = '📋 <b>کانال‌های شما:</b>\n\n';
+    const start = match.index;
+    const end = start + match[0].length;
+    const delta = replacement.length - match[0].length;
+    newText = newText.slice(0, start) + replacement + newText.slice(end);
     
-    for (let i = 0; i < userData.channels.length; i++) {
-      const ch = userData.channels[i];
-      const backupCount = (await DB.list({ prefix: `backup:${ch.id}:` })).keys.length;
-      
-      channelList += `${i + 1}. <b>${ch.title}</b>\n`;
-      channelList += `   🆔 ID: <code>${ch.id}</code>\n`;
-      if (ch.username) {
-        channelList += `   👤 Username: @${ch.username}\n`;
+    for (const entity of newEntities || []) {
+      if (entity.offset >= end) {
+        entity.offset += delta;
+      } else if (entity.offset <= start && entity.offset + entity.length >= end) {
+        entity.length += delta;
       }
-      channelList += `   💾 بکاپ‌ها: ${backupCount} پیام\n`;
-      channelList += `   📅 افزودن: ${new Date(ch.added_at).toLocaleDateString('fa-IR')}\n\n`;
     }
-    
-    channelList += '💡 برای حذف: <code>/removechannel [ID]</code>';
-    
-    await sendMessage(token, chatId, channelList);
   }
   
-  else if (text.startsWith('/backup')) {
-    const userData = await getUserData(DB, userId);
-    
-    if (userData.channels.length === 0) {
-      await sendMessage(token, chatId, '❌ شما هنوز کانالی اضافه نکرده‌اید.');
-      return;
-    }
-    
-    let backupInfo = '💾 <b>اطلاعات بکاپ:</b>\n\n';
-    let totalBackups = 0;
-    
-    for (const ch of userData.channels) {
-      const backups = await getChannelBackups(DB, ch.id);
-      totalBackups += backups.length;
-      
-      backupInfo += `📺 <b>${ch.title}</b>\n`;
-      backupInfo += `   💾 تعداد: ${backups.length} پیام\n`;
+  return { text: newText, entities: newEntities };
+}
+
+// Rewrite post links in a backup's text or caption for the job's target channel
+async function rewriteBackupLinks(DB, job, backup) {
+  const text = await rewritePostLinks(DB, job, backup.text, backup.entities);
+  const caption = await rewritePostLinks(DB, job, backup.caption, backup.caption_entities);
+  return {
+    ...backup,
+    text: text.text,
+    entities: text.entities,
+    caption: caption.text,
+    caption_entities: caption.entities
+  };
+}
+
+// Reply to the restored parent, or quote it in a header if it isn't in the target
+async function resolveRestoreReply(DB, job, backup) {
+  if (!backup.reply_to_message_id) {
+    return { header: '', extra: {} };
+  }
+  
+  const parentId = await getRestoredMessageId(DB, job.target_id, job.source_id, backup.reply_to_message_id);
+  if (parentId) {
+    return {
+      header: '',
+      extra: { reply_parameters: { message_id: parentId, allow_sending_without_reply: true } }
+    };
+  }
+  
+  const quote = backup.reply_to_text
+    ? '«' + backup.reply_to_text.replace(/\s+/g, ' ').slice(0, 80) + '»'
+    : '#' + backup.reply_to_message_id;
+  return { header: `↩️ در پاسخ به ${quote}\n\n`, extra: {} };
+}
+
+// Restore jobs are driven in slices so a Worker eviction only loses the current slice
+// The first slice runs in waitUntil; the cron worker (wrangler.cron.toml, every minute) runs the rest
+const RESTORE_SEND_DELAY_MS = 50;
+const RESTORE_REQUEST_ESTIMATE_MS = 300;
+const RESTORE_SLICE_MS = 25000;
+const RESTORE_SLICE_ITEMS = 200;
+const RESTORE_LEASE_MS = 60000;
+const RESTORE_CRON_INTERVAL_MS = 60000;
+const RESTORE_JOB_TTL = 7 * 24 * 60 * 60;
+
+// Get a restore job by id
+async function getRestoreJob(DB, jobId) {
+  const data = await DB.get(`restore_job:${jobId}`);
+  return data ? JSON.parse(data) : null;
+}
+
+// Save a restore job checkpoint; the status rides in the key's metadata and finished jobs expire
+async function saveRestoreJob(DB, job) {
+  job.updated_at = Date.now();
+  const options = { metadata: { status: job.status } };
+  if (!isRestoreJobActive(job)) options.expirationTtl = RESTORE_JOB_TTL;
+  await DB.put(`restore_job:${job.id}`, JSON.stringify(job), options);
+}
+
+// Get the most recent restore job started by a user
+async function getLatestRestoreJob(DB, userId) {
+  const jobId = await DB.get(`restore_latest:${userId}`);
+  return jobId ? getRestoreJob(DB, jobId) : null;
+}
+
+// A job that still needs work or could be resumed
+function isRestoreJobActive(job) {
+  return !!job && (job.status === 'running' || job.status === 'paused');
+}
+
+// Render the status text of a restore job
+function formatRestoreStatus(job) {
+  const processed = job.restored + (job.skipped || 0) + job.failed.length + job.unsupported.length;
+  const progress = job.total ? Math.min(Math.round((processed / job.total) * 100), 100) : 100;
+  const barFilled = Math.floor(progress / 5);
+  const barEmpty = 20 - barFilled;
+  
+  const headers = {
+    running: '🔄 <b>در حال انتقال بکاپ...</b>',
+    paused: '⏸ <b>بازیابی متوقف شده است</b>',
+    cancelled: '⏹ <b>بازیابی لغو شد</b>',
+    completed: '✅ <b>بازیابی تکمیل شد!</b>'
+  };
+  
+  let footer = '';
+  if (job.status === 'running') {
+    footer = '⏳ لطفا صبر کنید...\n⏸ توقف: /pauserestore  ⏹ لغو: /cancelrestore';
+  } else if (job.status === 'paused') {
+    footer = '▶️ ادامه: /resumerestore  ⏹ لغو: /cancelrestore';
+  } else if (job.status === 'completed') {
+    footer = job.failed.length === 0 && job.unsupported.length === 0
+      ? '🎉 تمام بکاپ‌ها با موفقیت منتقل شدند!'
+      : '⚠️ برخی پیام‌ها منتقل نشدند.';
+  }
+  
+  const failedIds = job.failed.slice(0, 10).map(item => '#' + item.message_id).join('، ');
+  
+  return (
+    headers[job.status] + '\n\n' +
+    '📺 مبدا: <b>' + job.source_title + '</b>\n' +
+    '📺 مقصد: <b>' + job.target_title + '</b>\n' +
+    '📝 نسخه: ' + RESTORE_VERSION_LABELS[job.version] + '\n' +
+    formatRestoreFilters(job.filters) + '\n' +
+    `📊 پیشرفت: ${progress}%\n` +
+    `━${'█'.repeat(barFilled)}${'░'.repeat(barEmpty)}━\n\n` +
+    `✅ منتقل شده: ${job.restored} از ${job.total}\n` +
+    (job.skipped ? `⏭ قبلا منتقل شده: ${job.skipped}\n` : '') +
+    (job.failed.length > 0 ? `❌ ناموفق: ${job.failed.length} (${failedIds}${job.failed.length > 10 ? '، …' : ''})\n` : '') +
+    (job.unsupported.length > 0 ? formatUnsupportedList(job.unsupported) : '') +
+    (job.cursor ? `📍 آخرین پیام: #${job.cursor}\n` : '') +
+    `⏱ باقیمانده: ${Math.max(0, job.total - processed)} پیام\n\n` +
+    footer
+  );
+}
+
+// Edit the user's status message to reflect the job
+async function updateRestoreStatus(token, job) {
+  if (!job.status_message_id) return;
+  
+  await telegramRequest(token, 'editMessageText', {
+    chat_id: job.chat_id,
+    message_id: job.status_message_id,
+    text: formatRestoreStatus(job),
+    parse_mode: 'HTML'
+  });
+}
+
+// Read the next page of a job's selection past its cursor, grouped into sends
+async function getRestorePage(DB, job) {
+  const pendingIds = await getBackupIds(DB, job.source_id, job.cursor, job.until_id);
+  const pageIds = pendingIds.slice(0, RESTORE_SLICE_ITEMS);
+  const hasMore = pendingIds.length > pageIds.length;
+  
+  const backups = (await getBackupsByIds(DB, job.source_id, pageIds)).filter(b =>
+    matchesRestoreFilters(getBackupVersion(b, job.version), job.filters)
+  );
+  let groups = groupMediaAlbums(backups);
+  let pageEnd = pageIds.length > 0 ? pageIds[pageIds.length - 1] : job.cursor;
+  
+  // An album cut off by the page edge is sent whole by the next slice
+  if (hasMore && groups.length > 1 && groups[groups.length - 1][0].media_group_id) {
+    groups = groups.slice(0, -1);
+    const lastGroup = groups[groups.length - 1];
+    pageEnd = lastGroup[lastGroup.length - 1].message_id;
+  }
+  
+  return { groups, pageEnd, hasMore };
+}
+
+// Create a restore job and run its first slice in the background
+async function startRestore(token, DB, context, { userId, chatId, sourceId, targetId, sourceTitle, targetTitle, sourceUsername, targetUsername, backupCount, version = 'latest', filters = {} }, blobs = null) {
+  const latestJob = await getLatestRestoreJob(DB, userId);
+  if (isRestoreJobActive(latestJob)) {
+    await sendMessage(token, chatId,
+      '⚠️ <b>یک بازیابی دیگر در جریان است!</b>\n\n' +
+      '📊 وضعیت: /restorestatus\n' +
+      '⏹ لغو: /cancelrestore'
+    );
+    return null;
+  }
+  
+  const job = {
+    id: crypto.randomUUID(),
+    user_id: userId,
+    chat_id: chatId,
+    source_id: sourceId,
+    target_id: targetId,
+    source_title: sourceTitle,
+    target_title: targetTitle,
+    source_username: sourceUsername || null,
+    target_username: targetUsername || null,
+    version,
+    filters,
+    status: 'running',
+    cursor: 0,
+    total: backupCount,
+    restored: 0,
+    skipped: 0,
+    failed: [],
+    unsupported: [],
+    status_message_id: null,
+    lease_until: 0,
+    created_at: Date.now()
+  };
+  
+  const initialRestoreMsg = await sendMessage(token, chatId, formatRestoreStatus(job));
+  if (initialRestoreMsg.ok) {
+    job.status_message_id = initialRestoreMsg.result.message_id;
+  }
+  
+  await saveRestoreJob(DB, job);
+  await DB.put(`restore_latest:${userId}`, job.id);
+  
+  // Start background restore; the scheduled handler picks up what's left
+  context.waitUntil(runRestoreSlice(token, DB, job.id, blobs));
+  return job;
+}
+
+// Restore the next slice of a job, checkpointing the cursor as it goes
+async function runRestoreSlice(token, DB, jobId, blobs = null) {
+  const job = await getRestoreJob(DB, jobId);
+  if (!job || job.status !== 'running') return job;
+  
+  // Another invocation is already driving this job
+  if (job.lease_until > Date.now()) return job;
+  
+  job.lease_until = Date.now() + RESTORE_LEASE_MS;
+  await saveRestoreJob(DB, job);
+  
+  // Pause, resume or cancel requests are written by command handlers while we run
+  const syncStatus = async () => {
+    const stored = await getRestoreJob(DB, jobId);
+    if (stored) {
+      job.status = stored.status;
+    }
+  };
+  
+  try {
+    // Posts backed up after the job started are not part of it
+    if (!job.until_id) {
+      job.until_id = (await reconcileBackupIndex(DB, job.source_id)).last_id;
+    }
+    
+    const { groups, pageEnd, hasMore } = await getRestorePage(DB, job);
+    
+    const sliceStart = Date.now();
+    let lastCheckpoint = Date.now();
+    let processedInSlice = 0;
+    let doneGroups = 0;
+    
+    for (const group of groups) {
+      if (Date.now() - sliceStart > RESTORE_SLICE_MS || processedInSlice >= RESTORE_SLICE_ITEMS) break;
+      
+      const items = [];
+      let skipped = 0;
+      
+      // Rerunning a restore only sends what the target doesn't have yet
+      for (const item of group) {
+        const version = getBackupVersion(item, job.version);
+        if (await getRestoredMessageId(DB, job.target_id, job.source_id, item.message_id)) {
+          skipped++;
+        } else if (getRestoreSkipReason(version)) {
+          job.unsupported.push(item.message_id);
+        } else {
+          items.push(await rewriteBackupLinks(DB, job, version));
+        }
+      }
+      
+      job.skipped = (job.skipped || 0) + skipped;
+      let result = { ok: true, sent: [] };
+      
+      try {
+        const reply = items.length > 0 ? await resolveRestoreReply(DB, job, items[0]) : null;
+        
+        if (items.length > 1) {
+          const response = await sendAlbum(token, job.target_id, items, reply.header, reply.extra, blobs);
+          result = { ok: response.ok, error: response.description, sent: response.result || [] };
+        } else if (items.length === 1) {
+          const response = await sendBackup(token, job.target_id, items[0], reply.header, reply.extra, blobs);
+          result = { ...response, sent: response.result ? [response.result] : [] };
+        }
+      } catch (err) {
+        result = { ok: false, error: err.message };
+      }
+      
+      if (result.unsupported) {
+        job.unsupported.push(...items.map(item => item.message_id));
+      } else if (result.ok) {
+        job.restored += items.length;
+        
+        for (let i = 0; i < items.length && i < result.sent.length; i++) {
+          await saveRestoredMessageId(DB, job.target_id, job.source_id, items[i].message_id, result.sent[i].message_id);
+        }
+      } else {
+        console.error('Error restoring message:', items[0].message_id, result.error);
+        job.failed.push(...items.map(item => ({ message_id: item.message_id, error: result.error || 'unknown' })));
+      }
+      
+      job.cursor = group[group.length - 1].message_id;
+      processedInSlice += group.length;
+      doneGroups++;
+      
+      // Checkpoint every 3 seconds
+      const now = Date.now();
+      if (now - lastCheckpoint > 3000) {
+        lastCheckpoint = now;
+        await syncStatus();
+        job.lease_until = now + RESTORE_LEASE_MS;
+        await saveRestoreJob(DB, job);
+        await updateRestoreStatus(token, job);
+        if (job.status !== 'running') break;
+      }
+      
+      // Reduced delay for faster transfer
+      await new Promise(resolve => setTimeout(resolve, RESTORE_SEND_DELAY_MS));
+    }
+    
+    await syncStatus();
+    if (doneGroups === groups.length) {
+      // Also steps over ids the filters left out of this page
+      job.cursor = pageEnd;
+      
+      if (job.status === 'running' && !hasMore) {
+        job.status = 'completed';
+        job.finished_at = Date.now();
+      }
+    }
+  } catch (err) {
+    console.error('Error in restore slice:', err);
+  }
+  
+  job.lease_until = 0;
+  await saveRestoreJob(DB, job);
+  await updateRestoreStatus(token, job);
+  return job;
+}
+
+// Add one send of a dry run's selection to its plan, without sending anything to the target
+async function planRestoreGroup(DB, task, group) {
+  const plan = task.plan;
+  const items = [];
+  plan.selected += group.length;
+  
+  for (const item of group) {
+    const version = getBackupVersion(item, task.version);
+    const skipReason = getRestoreSkipReason(version);
+    
+    if (await getRestoredMessageId(DB, task.target_id, task.source_id, item.message_id)) {
+      plan.already_restored++;
+    } else if (skipReason) {
+      // Only the first few ids are kept for the report
+      const skipped = plan.skipped[skipReason];
+      skipped.count++;
+      if (skipped.ids.length < 10) skipped.ids.push(item.message_id);
+    } else {
+      items.push(await rewriteBackupLinks(DB, task, version));
+      const type = getBackupType(version);
+      plan.types[type] = (plan.types[type] || 0) + 1;
+      if (version.reply_to_message_id) plan.replies++;
+    }
+  }
+  
+  if (items.length === 0) return;
+  
+  plan.restorable += items.length;
+  plan.sends++;
+  if (items.length > 1) plan.albums++;
+  if (plan.preview.length < 3) plan.preview.push(items);
+}
+
+// Start walking a restore's selection in the background; the report follows when it's done
+async function startRestoreDryRun(token, DB, context, chatId, { sourceId, targetId, sourceTitle, targetTitle, sourceUsername, targetUsername, version = 'latest', filters = {} }, confirmHint = false) {
+  await sendMessage(token, chatId, '🧪 در حال بررسی پیام‌های انتخاب‌شده...\n\nگزارش پیش‌نمایش پس از پایان بررسی ارسال می‌شود.');
+  
+  return startTask(token, DB, context, {
+    kind: 'dry_run',
+    chat_id: chatId,
+    source_id: sourceId,
+    target_id: targetId,
+    source_title: sourceTitle,
+    target_title: targetTitle,
+    source_username: sourceUsername || null,
+    target_username: targetUsername || null,
+    version,
+    filters,
+    confirm_hint: confirmHint,
+    cursor: 0,
+    until_id: 0,
+    plan: {
+      selected: 0,
+      restorable: 0,
+      sends: 0,
+      albums: 0,
+      replies: 0,
+      already_restored: 0,
+      types: {},
+      skipped: Object.fromEntries(Object.keys(RESTORE_SKIP_LABELS).map(reason => [reason, { count: 0, ids: [] }])),
+      preview: []
+    }
+  });
+}
+
+// Plan the next page of a dry run and send the report after the last one
+async function runDryRunSlice(token, DB, task) {
+  // Posts backed up after the dry run started are not part of it
+  if (!task.until_id) {
+    task.until_id = (await reconcileBackupIndex(DB, task.source_id)).last_id;
+  }
+  
+  const { groups, pageEnd, hasMore } = await getRestorePage(DB, task);
+  for (const group of groups) {
+    await planRestoreGroup(DB, task, group);
+  }
+  task.cursor = pageEnd;
+  
+  if (!hasMore) {
+    task.status = 'completed';
+    await sendDryRunReport(token, task);
+  }
+}
+
+// Time a restore of a dry run's plan takes: after the first slice, the cron runs one slice per trigger
+function estimateRestoreDuration(plan) {
+  if (plan.sends === 0) return 0;
+  
+  const sendMs = RESTORE_SEND_DELAY_MS + RESTORE_REQUEST_ESTIMATE_MS;
+  const itemsPerSend = Math.max(plan.selected / plan.sends, 1);
+  const sendsPerSlice = Math.max(Math.floor(Math.min(RESTORE_SLICE_MS / sendMs, RESTORE_SLICE_ITEMS / itemsPerSend)), 1);
+  const waits = Math.ceil(plan.sends / sendsPerSlice) - 1;
+  
+  return waits * RESTORE_CRON_INTERVAL_MS + (plan.sends - waits * sendsPerSlice) * sendMs;
+}
+
+// Report what a restore would do and render its first posts to the user only
+async function sendDryRunReport(token, task) {
+  const plan = task.plan;
+  const chatId = task.chat_id;
+  
+  const estimateSeconds = Math.ceil(estimateRestoreDuration(plan) / 1000);
+  const estimate = estimateSeconds >= 60
+    ? '~' + Math.ceil(estimateSeconds / 60) + ' دقیقه'
+    : '~' + estimateSeconds + ' ثانیه';
+  
+  let typeLines = '';
+  for (const [type, count] of Object.entries(plan.types)) {
+    typeLines += `   ${BACKUP_TYPE_LABELS[type]}: ${count}\n`;
+  }
+  
+  let skipLines = '';
+  for (const [reason, { count, ids }] of Object.entries(plan.skipped)) {
+    if (count === 0) continue;
+    const shown = ids.map(id => '#' + id).join('، ');
+    skipLines += `   ${RESTORE_SKIP_LABELS[reason]}: ${count} (${shown}${count > ids.length ? '، …' : ''})\n`;
+  }
+  
+  await sendMessage(token, chatId,
+    '🧪 <b>پیش‌نمایش بازیابی (بدون ارسال به مقصد)</b>\n\n' +
+    '📺 مبدا: <b>' + task.source_title + '</b>\n' +
+    '📺 مقصد: <b>' + task.target_title + '</b>\n' +
+    '📝 نسخه: ' + RESTORE_VERSION_LABELS[task.version] + '\n' +
+    formatRestoreFilters(task.filters) + '\n' +
+    `💾 انتخاب‌شده: ${plan.selected} پیام\n` +
+    `✅ قابل انتقال: ${plan.restorable} پیام در ${plan.sends} ارسال\n` +
+    (typeLines ? typeLines : '') +
+    (plan.albums > 0 ? `🖼 آلبوم: ${plan.albums}\n` : '') +
+    (plan.replies > 0 ? `↩️ پاسخ: ${plan.replies}\n` : '') +
+    (plan.already_restored > 0 ? `⏭ قبلا منتقل شده: ${plan.already_restored}\n` : '') +
+    (skipLines ? '⚠️ رد می‌شوند:\n' + skipLines : '') +
+    `⏱ زمان تقریبی: ${estimate}\n\n` +
+    (plan.preview.length > 0 ? '👇 <b>چند پیام اول به همان شکلی که ارسال می‌شوند:</b>' : '')
+  );
+  
+  // Render the first posts here; replies can't point into the target, so quote them
+  for (const items of plan.preview) {
+    const header = `🧪 #${items[0].message_id}\n`;
+    if (items.length > 1) {
+      await telegramRequest(token, 'sendMediaGroup', {
+        chat_id: chatId,
+        media: buildAlbumMedia(items, header)
+      });
+    } else {
+      const reply = items[0].reply_to_message_id
+        ? '↩️ #' + items[0].reply_to_message_id + '\n'
+        : '';
+      await sendBackup(token, chatId, items[0], header + reply);
+    }
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+  
+  // The pending restore from the wizard can still be confirmed
+  if (task.confirm_hint) {
+    await sendMessage(token, chatId, 'برای شروع بازیابی دکمه «✅ شروع بازیابی» را در پیام خلاصه بزنید.');
+  }
+}
+
+// Drive every running restore job forward by one slice
+export async function driveRestoreJobs(DB, token, blobs = null) {
+  const jobKeys = await listAllKeys(DB, 'restore_job:');
+  
+  for (const key of jobKeys) {
+    // Only jobs saved before the status moved into metadata need reading to tell
+    if (key.metadata && key.metadata.status !== 'running') continue;
+    
+    const job = JSON.parse(await DB.get(key.name));
+    if (job?.status !== 'running') continue;
+    
+    try {
+      await runRestoreSlice(token, DB, job.id, blobs);
+    } catch (err) {
+      console.error(`Error driving restore job ${job.id}:`, err);
+    }
+  }
+}
+
+// Dry runs and other long reads run as background tasks, one page per slice like restore jobs
+const TASK_LEASE_MS = 60000;
+const TASK_MAX_FAILURES = 3;
+const TASK_TTL = 7 * 24 * 60 * 60;
+
+// Slice handlers by task kind
+const TASK_HANDLERS = {
+  dry_run: runDryRunSlice,
+  export: runExportSlice,
+  import: runImportSlice,
+  reindex: runReindexSlice,
+  store_file: runStoreFileSlice
+};
+
+const TASK_LABELS = {
+  dry_run: 'پیش‌نمایش بازیابی',
+  export: 'آماده‌سازی خروجی',
+  import: 'وارد کردن',
+  reindex: 'بازسازی فهرست جستجو',
+  store_file: 'ذخیره فایل'
+};
+
+// Get a background task by id
+async function getTask(DB, taskId) {
+  const data = await DB.get(`task:${taskId}`);
+  return data ? JSON.parse(data) : null;
+}
+
+// Save a background task checkpoint; finished tasks expire on their own and the status rides in the key's metadata
+async function saveTask(DB, task) {
+  task.updated_at = Date.now();
+  await DB.put(`task:${task.id}`, JSON.stringify(task), { expirationTtl: TASK_TTL, metadata: { status: task.status } });
+}
+
+// Create a background task and run its first slice; the scheduled handler runs the rest
+async function startTask(token, DB, context, task, blobs = null) {
+  Object.assign(task, {
+    id: task.id || crypto.randomUUID(),
+    status: 'running',
+    failures: 0,
+    lease_until: 0,
+    created_at: Date.now()
+  });
+  await saveTask(DB, task);
+  
+  context.waitUntil(runTaskSlice(token, DB, task.id, blobs));
+  return task;
+}
+
+// Advance a task by one slice of its kind's handler
+async function runTaskSlice(token, DB, taskId, blobs = null) {
+  const task = await getTask(DB, taskId);
+  if (!task || task.status !== 'running') return task;
+  
+  // Another invocation is already driving this task
+  if (task.lease_until > Date.now()) return task;
+  
+  task.lease_until = Date.now() + TASK_LEASE_MS;
+  await saveTask(DB, task);
+  
+  try {
+    await TASK_HANDLERS[task.kind](token, DB, task, blobs);
+    task.failures = 0;
+  } catch (err) {
+    console.error(`Error in ${task.kind} task ${task.id}:`, err);
+    
+    // A slice that keeps failing would otherwise be retried forever
+    task.failures = (task.failures || 0) + 1;
+    if (task.failures >= TASK_MAX_FAILURES) {
+      task.status = 'failed';
+      task.error = err.message;
+      if (task.chat_id) {
+        await sendMessage(token, task.chat_id, '❌ خطا در ' + TASK_LABELS[task.kind] + '!\n\nخطا: ' + escapeHTML(err.message));
+      }
+    }
+  }
+  
+  task.lease_until = 0;
+  await saveTask(DB, task);
+  return task;
+}
+
+// Drive every running background task forward by one slice
+export async function driveTasks(DB, token, blobs = null) {
+  for (const key of await listAllKeys(DB, 'task:')) {
+    // Only tasks saved before the status moved into metadata need reading to tell
+    if (key.metadata && key.metadata.status !== 'running') continue;
+    
+    const task = JSON.parse(await DB.get(key.name));
+    if (task?.status !== 'running') continue;
+    
+    try {
+      await runTaskSlice(token, DB, task.id, blobs);
+    } catch (err) {
+      console.error(`Error driving task ${task.id}:`, err);
+    }
+  }
+}
+
+// Telegram accepts at most 50 results per answerInlineQuery
+const INLINE_RESULT_LIMIT = 50;
+const INLINE_CACHE_TIME = 30;
+
+// Turn a backup into a cached inline result, or null if it can't be shared inline
+function buildInlineResult(channel, backup) {
+  const id = `${channel.id}:${backup.message_id}`;
+  const type = getBackupType(backup);
+  const body = backup.text || backup.caption || '';
+  const title = body.split('\n')[0].slice(0, 64) || BACKUP_TYPE_LABELS[type] || `#${backup.message_id}`;
+  const description = `${channel.title} · #${backup.message_id}`;
+  const caption = {
+    caption: backup.caption || undefined,
+    caption_entities: backup.caption_entities || undefined
+  };
+  
+  switch (type) {
+    case 'text':
+      return {
+        type: 'article',
+        id,
+        title,
+        description,
+        input_message_content: { message_text: backup.text, entities: backup.entities || undefined }
+      };
+    case 'photo':
+      return { type: 'photo', id, photo_file_id: backup.photo, title, description, ...caption };
+    case 'video':
+      return { type: 'video', id, video_file_id: backup.video, title, description, ...caption };
+    case 'animation':
+      return { type: 'gif', id, gif_file_id: backup.animation, title, ...caption };
+    case 'document':
+      return { type: 'document', id, document_file_id: backup.document, title, description, ...caption };
+    case 'audio':
+      return { type: 'audio', id, audio_file_id: backup.audio, ...caption };
+    case 'voice':
+      return { type: 'voice', id, voice_file_id: backup.voice, title, ...caption };
+    case 'sticker':
+      return { type: 'sticker', id, sticker_file_id: backup.sticker };
+    case 'venue':
+      return { type: 'venue', id, ...backup.venue };
+    case 'location':
+      return { type: 'location', id, title: description, ...backup.location };
+    case 'contact':
+      return { type: 'contact', id, ...backup.contact };
+    default:
+      return null;
+  }
+}
+
+// Answer "@bot keyword" with matching backups from the user's own channels
+async function handleInlineQuery(token, DB, inlineQuery) {
+  const userData = await getUserData(DB, inlineQuery.from.id);
+  const offset = parseInt(inlineQuery.offset || '0') || 0;
+  const query = inlineQuery.query.trim();
+  
+  const hits = tokenizeSearchText(query).length > 0 && userData.channels.length > 0
+    ? await searchBackups(DB, userData.channels, query)
+    : [];
+  
+  const results = [];
+  let next = offset;
+  while (next < hits.length && results.length < INLINE_RESULT_LIMIT) {
+    const result = buildInlineResult(hits[next].channel, hits[next].backup);
+    if (result) results.push(result);
+    next++;
+  }
+  
+  await telegramRequest(token, 'answerInlineQuery', {
+    inline_query_id: inlineQuery.id,
+    results,
+    // Results depend on who is asking, so Telegram must not share them between users
+    is_personal: true,
+    cache_time: INLINE_CACHE_TIME,
+    next_offset: next < hits.length ? String(next) : ''
+  });
+}
+
+// Refusal message if a user isn't an admin of a channel (or, with needPost, can't post there), else null
+async function checkChannelPermission(token, channelId, userId, title = '', needPost = false) {
+  const name = '«' + escapeHTML(title || String(channelId)) + '»';
+  const member = await telegramRequest(token, 'getChatMember', { chat_id: channelId, user_id: userId });
+  
+  if (!member.ok) {
+    return '❌ بررسی دسترسی شما در کانال ' + name + ' ممکن نشد!\n\n' +
+      'مطمئن شوید ربات ادمین کانال است.';
+  }
+  
+  const { status, can_post_messages } = member.result;
+  if (status !== 'creator' && status !== 'administrator') {
+    return '⛔️ <b>شما ادمین کانال ' + name + ' نیستید!</b>\n\n' +
+      'فقط ادمین‌های کانال می‌توانند آن را اضافه، بکاپ یا بازیابی کنند.';
+  }
+  
+  // Creators can always post; admins need the explicit right
+  if (needPost && status === 'administrator' && !can_post_messages) {
+    return '⛔️ <b>شما در کانال ' + name + ' اجازه ارسال پیام ندارید!</b>\n\n' +
+      'برای بازیابی در این کانال باید دسترسی "ارسال پیام" داشته باشید.';
+  }
+  
+  return null;
+}
+
+// Resolve channel username to ID
+async function resolveChannelId(token, channelInput) {
+  if (channelInput.startsWith('@')) {
+    try {
+      const result = await telegramRequest(token, 'getChat', { 
+        chat_id: channelInput 
+      });
+      if (result.ok) {
+        return result.result.id.toString();
+      }
+    } catch (err) {
+      return null;
+    }
+  }
+  
+  if (channelInput.match(/^-?\d+$/)) {
+    return channelInput;
+  }
+  return null;
+}
+
+// Handle Telegram updates
+export async function handleUpdate(update, env, context) {
+  if (!env.TELEGRAM_BOT_TOKEN || !env.DB) {
+    console.error('Environment not configured properly');
+    return;
+  }
+  
+  // Skip redeliveries of updates we already handled
+  if (await isDuplicateUpdate(env.DB, update.update_id)) {
+    return;
+  }
+  
+  // Downloads, indexing and notifications run after Telegram has been answered
+  context.waitUntil(processUpdate(update, env, context).catch(err => {
+    console.error('Error handling update:', err);
+  }));
+}
+
+// Handle one update that isn't a redelivery
+async function processUpdate(update, env, context) {
+  const token = env.TELEGRAM_BOT_TOKEN;
+  const DB = env.DB;
+  const blobs = getBlobStore(env);
+  
+  // Handle inline mode (@bot keyword in any chat)
+  if (update.inline_query) {
+    try {
+      await handleInlineQuery(token, DB, update.inline_query);
+    } catch (err) {
+      console.error('Inline query error:', err);
+    }
+    return;
+  }
+  
+  // Handle callback queries (button clicks)
+  if (update.callback_query) {
+    const callbackQuery = update.callback_query;
+    const userId = callbackQuery.from.id;
+    const chatId = callbackQuery.message.chat.id;
+    const data = callbackQuery.data;
+    
+    try {
+      // Answer callback query to remove loading state
+      await telegramRequest(token, 'answerCallbackQuery', {
+        callback_query_id: callbackQuery.id,
+        text: '⏳ در حال پردازش...'
+      });
+      
+      if (data.startsWith('restore_source:')) {
+        const sourceId = data.replace('restore_source:', '');
+        
+        // Save selected source channel
+        await DB.put(`restore_temp:${userId}:source`, sourceId);
+        
+        const userData = await getUserData(DB, userId);
+        const sourceChannel = userData.channels.find(ch => ch.id === sourceId);
+        
+        if (!sourceChannel) {
+          await sendMessage(token, chatId, '❌ خطا: کانال یافت نشد!');
+          return;
+        }
+        
+        if (!hasChannelRole(await getChannelRole(DB, sourceId, userId), 'restorer')) {
+          await clearRestoreState(DB, userId);
+          await sendMessage(token, chatId, formatRoleRefusal('restorer'));
+          return;
+        }
+        
+        const sourceRefusal = await checkChannelPermission(token, sourceId, userId, sourceChannel.title);
+        if (sourceRefusal) {
+          await clearRestoreState(DB, userId);
+          await sendMessage(token, chatId, sourceRefusal);
+          return;
+        }
+        
+        await sendMessage(token, chatId,
+          '✅ <b>کانال مبدا انتخاب شد</b>\n\n' +
+          '📺 <b>' + sourceChannel.title + '</b>\n' +
+          '🆔 <code>' + sourceId + '</code>\n\n' +
+          '━━━━━━━━━━━━━━━━\n\n' +
+          '🔹 <b>مرحله 2:</b> ID یا username کانال مقصد را ارسال کنید:\n\n' +
+          '<b>مثال‌ها:</b>\n' +
+          '• <code>@newchannel</code>\n' +
+          '• <code>-1001234567890</code>\n\n' +
+          '⚠️ <b>توجه:</b> ربات باید در کانال مقصد ادمین باشد.'
+        );
+        
+        // Set state for next message
+        await DB.put(`restore_state:${userId}`, 'waiting_target');
+      }
+      
+      else if (data.startsWith('restore_version:')) {
+        const version = data.replace('restore_version:', '');
+        const restoreState = await DB.get(`restore_state:${userId}`);
+        
+        if (restoreState !== 'waiting_version' || !RESTORE_VERSION_LABELS[version]) {
+          await sendMessage(token, chatId, '❌ درخواست بازیابی منقضی شده است. دوباره /restore را ارسال کنید.');
+          return;
+        }
+        
+        await DB.put(`restore_temp:${userId}:version`, version);
+        await DB.put(`restore_state:${userId}`, 'waiting_filter');
+        
+        await sendMessage(token, chatId,
+          '✅ نسخه: <b>' + RESTORE_VERSION_LABELS[version] + '</b>\n\n' +
+          '━━━━━━━━━━━━━━━━\n\n' +
+          '🔹 <b>مرحله 4:</b> فیلترهای دلخواه را ارسال کنید یا همه پیام‌ها را منتقل کنید:\n\n' +
+          '• <code>from:2024-01-01 to:2024-01-31</code> - بازه تاریخ\n' +
+          '• <code>ids:100-500</code> - بازه شماره پیام\n' +
+          '• <code>types:photo,document</code> - نوع پیام\n' +
+          '• <code>q:کلمه</code> - کلمه کلیدی (در انتها)\n\n' +
+          '<b>مثال:</b> <code>from:2024-05-01 types:document q:گزارش</code>',
+          {
+            reply_markup: {
+              inline_keyboard: [
+                [{ text: '📦 همه پیام‌ها (بدون فیلتر)', callback_data: 'restore_filter:none' }]
+              ]
+            }
+          }
+        );
+      }
+      
+      else if (data === 'restore_filter:none') {
+        const restoreState = await DB.get(`restore_state:${userId}`);
+        const sourceId = await DB.get(`restore_temp:${userId}:source`);
+        const targetId = await DB.get(`restore_temp:${userId}:target`);
+        const version = await DB.get(`restore_temp:${userId}:version`);
+        
+        if (restoreState !== 'waiting_filter' || !sourceId || !targetId) {
+          await sendMessage(token, chatId, '❌ درخواست بازیابی منقضی شده است. دوباره /restore را ارسال کنید.');
+          return;
+        }
+        
+        await confirmRestore(token, DB, userId, chatId, { sourceId, targetId, version: version || 'latest', filters: {} });
+      }
+      
+      else if (data === 'restore_confirm') {
+        const restoreState = await DB.get(`restore_state:${userId}`);
+        const pending = await DB.get(`restore_temp:${userId}:pending`);
+        
+        if (restoreState !== 'waiting_confirm' || !pending) {
+          await sendMessage(token, chatId, '❌ درخواست بازیابی منقضی شده است. دوباره /restore را ارسال کنید.');
+          return;
+        }
+        
+        // Clean up state
+        await clearRestoreState(DB, userId);
+        await startRestore(token, DB, context, { userId, chatId, ...JSON.parse(pending) }, blobs);
+      }
+      
+      else if (data === 'restore_dryrun') {
+        const restoreState = await DB.get(`restore_state:${userId}`);
+        const pending = await DB.get(`restore_temp:${userId}:pending`);
+        
+        if (restoreState !== 'waiting_confirm' || !pending) {
+          await sendMessage(token, chatId, '❌ درخواست بازیابی منقضی شده است. دوباره /restore را ارسال کنید.');
+          return;
+        }
+        
+        // Keep the pending restore so it can still be confirmed afterwards
+        await startRestoreDryRun(token, DB, context, chatId, JSON.parse(pending), true);
+      }
+      
+      else if (data === 'restore_cancel') {
+        await clearRestoreState(DB, userId);
+        await sendMessage(token, chatId, '❌ بازیابی لغو شد.');
+      }
+      
+      else if (data === 'notify_menu' || data.startsWith('notify_channel:') || data.startsWith('notify_set:')) {
+        const userData = await getUserData(DB, userId);
+        let menu;
+        
+        if (data === 'notify_menu') {
+          menu = await buildNotifySettingsMenu(DB, userId, userData);
+        } else {
+          const [action, channelId, mode] = data.split(':');
+          const channel = userData.channels.find(ch => ch.id === channelId);
+          
+          if (!channel) {
+            await sendMessage(token, chatId, '❌ خطا: کانال یافت نشد!');
+            return;
+          }
+          
+          if (action === 'notify_set' && NOTIFY_MODES.includes(mode)) {
+            await DB.put(`notify:${userId}:${channelId}`, mode);
+          }
+          menu = buildNotifyChannelMenu(channel, await getNotifyMode(DB, userId, channelId));
+        }
+        
+        await telegramRequest(token, 'editMessageText', {
+          chat_id: chatId,
+          message_id: callbackQuery.message.message_id,
+          text: menu.text,
+          parse_mode: 'HTML',
+          reply_markup: menu.reply_markup
+        });
+      }
+      
+      else if (data.startsWith('search_send:')) {
+        const [, channelId, messageId] = data.split(':');
+        const userData = await getUserData(DB, userId);
+        const backup = userData.channels.some(ch => ch.id === channelId)
+          ? await getBackupMessage(DB, channelId, messageId)
+          : null;
+        
+        if (!backup) {
+          await sendMessage(token, chatId, '❌ این پیام در بکاپ‌های شما یافت نشد!');
+          return;
+        }
+        
+        const result = await sendBackup(token, chatId, backup, `🔍 #${backup.message_id}\n`, {}, blobs);
+        if (result.unsupported) {
+          await sendMessage(token, chatId, formatUnsupportedList([backup.message_id]));
+        } else if (!result.ok) {
+          await sendMessage(token, chatId, '❌ خطا در ارسال پیام: ' + escapeHTML(result.error || ''));
+        }
+      }
+    } catch (err) {
+      console.error('Callback query error:', err);
+      await telegramRequest(token, 'answerCallbackQuery', {
+        callback_query_id: callbackQuery.id,
+        text: '❌ خطا در پردازش!',
+        show_alert: true
+      });
+    }
+    
+    return; // Important: Stop processing after handling callback
+  }
+  
+  const message = update.message || update.channel_post || update.edited_channel_post;
+  if (!message) return;
+  
+  const userId = message.from?.id;
+  const chatId = message.chat.id;
+  const text = message.text || '';
+  
+  // Handle channel posts (automatic backup)
+  if (update.channel_post) {
+    await backupChannelPost(DB, token, context, message, blobs);
+    return;
+  }
+  
+  // Handle edited channel posts (new backup version)
+  if (update.edited_channel_post) {
+    await backupEditedChannelPost(DB, token, context, message, blobs);
+    return;
+  }
+  
+  // Handle private messages (bot commands)
+  if (!userId) return;
+  
+  // Check if user is in restore flow
+  const restoreState = await DB.get(`restore_state:${userId}`);
+  
+  if (restoreState === 'waiting_target' && text && !text.startsWith('/')) {
+    const sourceId = await DB.get(`restore_temp:${userId}:source`);
+    const targetId = await resolveChannelId(token, text.trim());
+    
+    if (!targetId) {
+      await sendMessage(token, chatId, 
+        '❌ فرمت کانال نامعتبر است!\n\n' +
+        'لطفا ID یا username صحیح وارد کنید.'
+      );
+      return;
+    }
+    
+    try {
+      const sourceChat = await telegramRequest(token, 'getChat', { chat_id: sourceId });
+      const targetChat = await telegramRequest(token, 'getChat', { chat_id: targetId });
+      
+      if (!sourceChat.ok || !targetChat.ok) {
+        await sendMessage(token, chatId, 
+          '❌ خطا در دسترسی!\n\n' +
+          'مطمئن شوید ربات در هر دو کانال ادمین است.'
+        );
+        return;
+      }
+      
+      const refusal = await checkChannelPermission(token, sourceId, userId, sourceChat.result.title) ||
+        await checkChannelPermission(token, targetId, userId, targetChat.result.title, true);
+      if (refusal) {
+        await sendMessage(token, chatId, refusal + '\n\nکانال مقصد دیگری بفرستید یا /restore را دوباره اجرا کنید.');
+        return;
+      }
+      
+      const backupCount = await getBackupCount(DB, sourceId);
+      
+      if (backupCount === 0) {
+        await sendMessage(token, chatId, '❌ هیچ بکاپی یافت نشد!');
+        await clearRestoreState(DB, userId);
+        return;
+      }
+      
+      // Ask which version of edited posts should be restored
+      await DB.put(`restore_temp:${userId}:target`, targetId);
+      await DB.put(`restore_state:${userId}`, 'waiting_version');
+      
+      await sendMessage(token, chatId,
+        '✅ <b>کانال مقصد انتخاب شد</b>\n\n' +
+        '📺 مبدا: <b>' + sourceChat.result.title + '</b>\n' +
+        '📺 مقصد: <b>' + targetChat.result.title + '</b>\n' +
+        '💾 تعداد کل: ' + backupCount + ' پیام\n\n' +
+        '━━━━━━━━━━━━━━━━\n\n' +
+        '🔹 <b>مرحله 3:</b> برای پیام‌های ویرایش‌شده کدام نسخه منتقل شود؟',
+        {
+          reply_markup: {
+            inline_keyboard: [
+              [{ text: '🆕 ' + RESTORE_VERSION_LABELS.latest, callback_data: 'restore_version:latest' }],
+              [{ text: '📜 ' + RESTORE_VERSION_LABELS.original, callback_data: 'restore_version:original' }]
+            ]
+          }
+        }
+      );
+      
+    } catch (err) {
+      console.error('Restore error:', err);
+      await sendMessage(token, chatId, 
+        '❌ خطا در بازیابی!\n\n' +
+        'خطا: ' + err.message
+      );
+      await clearRestoreState(DB, userId);
+    }
+    
+    return;
+  }
+  
+  if (restoreState === 'waiting_filter' && text && !text.startsWith('/')) {
+    const { filters, error } = parseRestoreFilters(text.trim().split(/\s+/));
+    
+    if (error) {
+      await sendMessage(token, chatId, '❌ ' + escapeHTML(error) + '\n\nلطفا فیلترها را اصلاح و دوباره ارسال کنید.');
+      return;
+    }
+    
+    const sourceId = await DB.get(`restore_temp:${userId}:source`);
+    const targetId = await DB.get(`restore_temp:${userId}:target`);
+    const version = await DB.get(`restore_temp:${userId}:version`);
+    
+    await confirmRestore(token, DB, userId, chatId, { sourceId, targetId, version: version || 'latest', filters });
+    return;
+  }
+  
+  if (text.startsWith('/start')) {
+    await sendMessage(token, chatId, 
+      '🤖 <b>به ربات بکاپ‌گیری کانال خوش آمدید!</b>\n\n' +
+      '📋 <b>دستورات موجود:</b>\n' +
+      '/addchannel [کانال] - افزودن کانال\n' +
+      '/manualbackup [کانال] - بکاپ دستی\n' +
+      '/channels - لیست کانال‌ها\n' +
+      '/backup - مشاهده بکاپ‌ها\n' +
+      '/trust [کانال] - نمایش 50 پیام آخر\n' +
+      '/search [عبارت] [کانال] - جستجو در بکاپ‌ها\n' +
+      '/history [کانال] [شماره] - تاریخچه ویرایش پیام\n' +
+      '/export [کانال] [csv] - خروجی JSON/CSV بکاپ‌ها\n' +
+      '/import [کانال] - وارد کردن خروجی Telegram Desktop\n' +
+      '/restore - انتقال بکاپ (با دکمه)\n' +
+      '/restorestatus - وضعیت بازیابی\n' +
+      '/pauserestore | /resumerestore | /cancelrestore - مدیریت بازیابی\n' +
+      '/checkbackup - بررسی پیام‌های جدید\n' +
+      '/notifications - تنظیم اطلاع‌رسانی هر کانال\n' +
+      '/notifyoff - غیرفعال کردن اطلاع‌رسانی\n' +
+      '/notifyon - فعال کردن اطلاع‌رسانی\n' +
+      '/removechannel [کانال] - حذف کانال\n' +
+      '/invite [کانال] [نقش] | /join [کد] - اشتراک کانال با دیگران\n' +
+      '/members [کانال] | /revoke [کانال] [کاربر] - مدیریت اعضا\n' +
+      '/publish [کانال] | /unpublish [کانال] - آرشیو عمومی وب\n' +
+      '/feed [کانال] - فید RSS/Atom/JSON\n' +
+      '/apikey - مدیریت کلید API\n' +
+      '/help - راهنمای کامل\n\n' +
+      '💡 <b>نحوه استفاده:</b>\n' +
+      '• <code>/addchannel @mychannel</code>\n' +
+      '• <code>/manualbackup @mychannel</code>\n' +
+      '• سپس پیام‌ها را فوروارد کنید\n\n' +
+      '✨ <b>ویژگی‌های جدید:</b>\n' +
+      '🔹 بکاپ خودکار پیام‌های قبلی\n' +
+      '🔹 اطلاع‌رسانی بکاپ‌های جدید\n' +
+      '🔹 بررسی خودکار هر 24 ساعت\n' +
+      '🔹 بکاپ دستی با فوروارد\n' +
+      '🔹 انتقال آسان با دکمه شیشه‌ای'
+    );
+  }
+  
+  else if (text.startsWith('/addchannel')) {
+    const parts = text.trim().split(/\s+/);
+    
+    if (parts.length < 2) {
+      await sendMessage(token, chatId,
+        '📝 <b>راهنمای افزودن کانال:</b>\n\n' +
+        '<b>فرمت دستور:</b>\n' +
+        '<code>/addchannel [کانال]</code>\n\n' +
+        '<b>مثال‌ها:</b>\n' +
+        '• <code>/addchannel @mychannel</code>\n' +
+        '• <code>/addchannel -1001234567890</code>\n\n' +
+        '⚠️ <b>توجه مهم:</b>\n' +
+        '1️⃣ ابتدا ربات را به کانال اضافه کنید\n' +
+        '2️⃣ ربات را ادمین کانال کنید (با دسترسی حذف پیام)\n' +
+        '3️⃣ سپس دستور را با ID یا username کانال ارسال کنید\n' +
+        '4️⃣ خود شما هم باید ادمین همان کانال باشید\n\n' +
+        '💡 <b>نکته:</b> برای دریافت ID کانال می‌توانید از @userinfobot استفاده کنید.\n\n' +
+        '✨ <b>قابلیت جدید:</b> تمام پیام‌های قبلی کانال نیز به صورت خودکار بکاپ می‌شود!'
+      );
+      return;
+    }
+    
+    const channelInput = parts[1];
+    await sendMessage(token, chatId, '⏳ در حال بررسی کانال...');
+    
+    const channelId = await resolveChannelId(token, channelInput);
+    if (!channelId) {
+      await sendMessage(token, chatId, 
+        '❌ <b>خطا در شناسایی کانال!</b>\n\n' +
+        'لطفا مطمئن شوید:\n' +
+        '• فرمت ورودی صحیح است (@username یا ID)\n' +
+        '• کانال عمومی است یا ربات در آن عضو است'
+      );
+      return;
+    }
+    
+    try {
+      const chatInfo = await telegramRequest(token, 'getChat', { chat_id: channelId });
+      
+      if (!chatInfo.ok) {
+        await sendMessage(token, chatId, 
+          '❌ <b>خطا در دسترسی به کانال!</b>\n\n' +
+          'لطفا مطمئن شوید:\n' +
+          '1️⃣ ربات را به کانال اضافه کرده‌اید\n' +
+          '2️⃣ ربات ادمین کانال است\n' +
+          '3️⃣ ربات دسترسی "حذف پیام" دارد\n\n' +
+          '💡 پس از اضافه کردن ربات، چند ثانیه صبر کنید و دوباره تلاش کنید.'
+        );
+        return;
+      }
+      
+      const refusal = await checkChannelPermission(token, channelId, userId, chatInfo.result.title);
+      if (refusal) {
+        await sendMessage(token, chatId, refusal);
+        return;
+      }
+      
+      const userData = await getUserData(DB, userId);
+      
+      if (userData.channels.find(ch => ch.id === channelId)) {
+        await sendMessage(token, chatId, 
+          '⚠️ <b>این کانال قبلا اضافه شده است!</b>\n\n' +
+          '📺 نام کانال: <b>' + chatInfo.result.title + '</b>\n' +
+          '🆔 ID: <code>' + channelId + '</code>\n\n' +
+          'برای مشاهده لیست کانال‌ها از دستور /channels استفاده کنید.'
+        );
+        return;
+      }
+      
+      // Channels other users already share are joined through an invite
+      await ensureChannelOwnerIndex(DB);
+      if ((await getChannelMemberIds(DB, channelId)).length > 0) {
+        await sendMessage(token, chatId, 
+          '⚠️ <b>این کانال توسط کاربر دیگری ثبت شده است!</b>\n\n' +
+          '📺 نام کانال: <b>' + chatInfo.result.title + '</b>\n\n' +
+          'از مالک کانال بخواهید با دستور <code>/invite</code> برای شما کد دعوت بسازد.'
+        );
+        return;
+      }
+      
+      // Add channel
+      userData.channels.push({
+        id: channelId,
+        title: chatInfo.result.title || 'Unknown Channel',
+        username: chatInfo.result.username || null,
+        added_at: Date.now()
+      });
+      
+      await saveUserData(DB, userId, userData);
+      await setChannelRole(DB, channelId, userId, 'owner');
+      
+      await sendMessage(token, chatId, 
+        '✅ <b>کانال با موفقیت اضافه شد!</b>\n\n' +
+        '📺 نام: <b>' + chatInfo.result.title + '</b>\n' +
+        '🆔 ID: <code>' + channelId + '</code>\n' +
+        (chatInfo.result.username ? '👤 Username: @' + chatInfo.result.username + '\n' : '') +
+        '📅 تاریخ افزودن: ' + new Date().toLocaleString('fa-IR') + '\n\n' +
+        '⏳ <b>در حال شروع بکاپ‌گیری پیام‌های قبلی...</b>\n' +
+        'این فرآیند در پس‌زمینه انجام می‌شود و چند دقیقه طول می‌کشد.'
+      );
+
+      // Earlier posts are read through the storage chat, never the channel itself
+      const storageChat = await getStorageChat(env);
+      if (!storageChat.ok) {
+        await sendMessage(token, chatId,
+          '⚠️ <b>بکاپ پیام‌های قبلی انجام نشد!</b>\n\n' +
+          escapeHTML(storageChat.error) + '\n\n' +
+          'پیام‌های جدید همچنان خودکار بکاپ می‌شوند. برای پیام‌های قبلی از /manualbackup استفاده کنید.'
+        );
+        return;
+      }
+
+      // Start background backup of existing messages
+      context.waitUntil(
+        (async () => {
+          const backupResult = await backupExistingMessages(token, DB, channelId, userId, storageChat.chat_id);
+          
+          // Note: backupResult already sends completion message with editMessageText
+          // But we send a summary notification as well
+          if (backupResult.success && backupResult.count > 0) {
+            await sendMessage(token, userId, 
+              '📢 <b>خلاصه بکاپ‌گیری</b>\n\n' +
+              '📺 کانال: <b>' + chatInfo.result.title + '</b>\n' +
+              '💾 جمع بکاپ: ' + backupResult.count + ' پیام\n' +
+              (backupResult.skipped ? '⏭ رد شده: ' + backupResult.skipped + ' پیام\n' : '') +
+              '\n✅ از این لحظه پیام‌های جدید نیز خودکار بکاپ می‌شوند.\n\n' +
+              '📋 دستورات مفید:\n' +
+              '• /trust ' + (chatInfo.result.username ? '@' + chatInfo.result.username : channelId) + ' - مشاهده بکاپ‌ها\n' +
+              '• /backup - آمار کامل\n' +
+              '• /restore - انتقال به کانال جدید'
+            );
+          }
+        })()
+      );
+      
+    } catch (err) {
+      console.error('Error adding channel:', err);
+      await sendMessage(token, chatId, 
+        '❌ <b>خطا در پردازش درخواست!</b>\n\n' +
+        'لطفا:\n' +
+        '• اتصال اینترنت خود را بررسی کنید\n' +
+        '• چند لحظه بعد دوباره تلاش کنید\n' +
+        '• مطمئن شوید ربات در کانال ادمین است\n\n' +
+        'خطا: ' + err.message
+      );
+    }
+  }
+  
+  else if (text.startsWith('/removechannel')) {
+    const parts = text.trim().split(/\s+/);
+    
+    if (parts.length < 2) {
+      await sendMessage(token, chatId,
+        '🗑 <b>راهنمای حذف کانال:</b>\n\n' +
+        '<b>فرمت دستور:</b>\n' +
+        '<code>/removechannel [کانال]</code>\n\n' +
+        '<b>مثال‌ها:</b>\n' +
+        '• <code>/removechannel @mychannel</code>\n' +
+        '• <code>/removechannel -1001234567890</code>\n\n' +
+        '⚠️ <b>توجه:</b> حذف کانال، بکاپ‌های موجود را پاک نمی‌کند.'
+      );
+      return;
+    }
+    
+    const channelInput = parts[1];
+    const channelId = await resolveChannelId(token, channelInput);
+    
+    if (!channelId) {
+      await sendMessage(token, chatId, '❌ فرمت کانال نامعتبر است!');
+      return;
+    }
+    
+    const userData = await getUserData(DB, userId);
+    const channelIndex = userData.channels.findIndex(ch => ch.id === channelId);
+    
+    if (channelIndex === -1) {
+      await sendMessage(token, chatId, '❌ این کانال در لیست شما یافت نشد!');
+      return;
+    }
+    
+    if (!hasChannelRole(await getChannelRole(DB, channelId, userId), 'owner')) {
+      await sendMessage(token, chatId, formatRoleRefusal('owner'));
+      return;
+    }
+    
+    const removedChannel = userData.channels[channelIndex];
+    const members = await getChannelMembers(DB, channelId);
+    const otherIds = Object.keys(members).filter(memberId => memberId !== String(userId));
+    
+    userData.channels.splice(channelIndex, 1);
+    await saveUserData(DB, userId, userData);
+    await DB.delete(`notify:${userId}:${channelId}`);
+    
+    // While other owners remain, only the caller leaves; the sole owner takes it away from every member
+    if (otherIds.some(memberId => members[memberId] === 'owner')) {
+      await removeChannelMember(DB, channelId, userId);
+      await sendMessage(token, chatId, 
+        '✅ <b>کانال از لیست شما حذف شد!</b>\n\n' +
+        '📺 نام: <b>' + removedChannel.title + '</b>\n' +
+        '🆔 ID: <code>' + channelId + '</code>\n' +
+        '👥 مالکان دیگر همچنان به کانال دسترسی دارند.'
+      );
+      return;
+    }
+    
+    for (const memberId of otherIds) {
+      const memberData = await getUserData(DB, memberId);
+      memberData.channels = memberData.channels.filter(ch => ch.id !== channelId);
+      await saveUserData(DB, memberId, memberData);
+      await DB.delete(`notify:${memberId}:${channelId}`);
+    }
+    
+    for (const memberId of Object.keys(members)) {
+      await DB.delete(`member:${channelId}:${memberId}`);
+    }
+    await DB.delete(`channel:${channelId}`);
+    await unpublishChannel(DB, channelId);
+    await DB.delete(`feed:${channelId}`);
+    
+    await sendMessage(token, chatId, 
+      '✅ <b>کانال با موفقیت حذف شد!</b>\n\n' +
+      '📺 نام: <b>' + removedChannel.title + '</b>\n' +
+      '🆔 ID: <code>' + channelId + '</code>\n' +
+      (otherIds.length > 0 ? '👥 برای ' + otherIds.length + ' عضو دیگر هم حذف شد.\n' : '') +
+      '\n💾 بکاپ‌های این کانال همچنان در سیستم موجود است.'
+    );
+  }
+  
+  else if (text.startsWith('/invite')) {
+    const parts = text.trim().split(/\s+/);
+    const role = parts[2] || 'viewer';
+    
+    if (parts.length < 2 || !CHANNEL_ROLES.includes(role)) {
+      await sendMessage(token, chatId,
+        '👥 <b>راهنمای دعوت:</b>\n\n' +
+        '<code>/invite [کانال] [owner|restorer|viewer]</code>\n\n' +
+        'مثال: <code>/invite @mychannel restorer</code>\n\n' +
+        CHANNEL_ROLES.slice().reverse().map(option => CHANNEL_ROLE_LABELS[option] + ' <code>' + option + '</code>').join('\n') + '\n\n' +
+        '👁 بیننده: مشاهده، جستجو و خروجی\n' +
+        '♻️ بازیابی‌کننده: + بازیابی، بکاپ دستی، وارد کردن و بازسازی فهرست جستجو\n' +
+        '👑 مالک: + دعوت، لغو دسترسی و حذف کانال'
+      );
+      return;
+    }
+    
+    const channelId = await resolveChannelId(token, parts[1]);
+    const userData = await getUserData(DB, userId);
+    const channel = userData.channels.find(ch => ch.id === channelId);
+    
+    if (!channel) {
+      await sendMessage(token, chatId, '❌ این کانال در لیست شما یافت نشد!');
+      return;
+    }
+    
+    if (!hasChannelRole(await getChannelRole(DB, channelId, userId), 'owner')) {
+      await sendMessage(token, chatId, formatRoleRefusal('owner'));
+      return;
+    }
+    
+    const code = crypto.randomUUID().replace(/-/g, '').slice(0, 16);
+    await DB.put(`invite:${code}`, JSON.stringify({
+      channel_id: channelId,
+      role,
+      invited_by: String(userId),
+      created_at: Date.now()
+    }), { expirationTtl: INVITE_TTL });
+    
+    await sendMessage(token, chatId,
+      '✅ <b>کد دعوت ساخته شد</b>\n\n' +
+      '📺 کانال: <b>' + escapeHTML(channel.title) + '</b>\n' +
+      '🎭 نقش: ' + CHANNEL_ROLE_LABELS[role] + '\n' +
+      '⏳ اعتبار: 7 روز، یک‌بار مصرف\n\n' +
+      'فرد دعوت‌شده این دستور را برای ربات بفرستد:\n' +
+      '<code>/join ' + code + '</code>'
+    );
+  }
+  
+  else if (text.startsWith('/join')) {
+    const code = text.trim().split(/\s+/)[1];
+    const inviteData = code ? await DB.get(`invite:${code}`) : null;
+    
+    if (!inviteData) {
+      await sendMessage(token, chatId, '❌ کد دعوت نامعتبر یا منقضی شده است!');
+      return;
+    }
+    
+    const invite = JSON.parse(inviteData);
+    const inviterData = await getUserData(DB, invite.invited_by);
+    const channel = inviterData.channels.find(ch => ch.id === invite.channel_id);
+    
+    if (!channel) {
+      await DB.delete(`invite:${code}`);
+      await sendMessage(token, chatId, '❌ این کانال دیگر در دسترس نیست!');
+      return;
+    }
+    
+    // An invite is only as good as the inviter's own access
+    if (!hasChannelRole(await getChannelRole(DB, channel.id, invite.invited_by), 'owner')) {
+      await DB.delete(`invite:${code}`);
+      await sendMessage(token, chatId, '❌ دعوت‌کننده دیگر مالک این کانال نیست و کد دعوت باطل شده است!');
+      return;
+    }
+    
+    // Invites only ever raise a role; the code stays valid for whoever it was meant for
+    const currentRole = await getChannelRole(DB, channel.id, userId);
+    if (hasChannelRole(currentRole, invite.role)) {
+      await sendMessage(token, chatId,
+        'ℹ️ شما هم‌اکنون با نقش ' + CHANNEL_ROLE_LABELS[currentRole] + ' عضو کانال <b>' + escapeHTML(channel.title) + '</b> هستید.\n' +
+        'این کد دعوت نقش شما را تغییر نمی‌دهد و استفاده نشد.'
+      );
+      return;
+    }
+    
+    await DB.delete(`invite:${code}`);
+    
+    const userData = await getUserData(DB, userId);
+    if (!userData.channels.find(ch => ch.id === channel.id)) {
+      userData.channels.push({ ...channel, added_at: Date.now() });
+      await saveUserData(DB, userId, userData);
+    }
+    await setChannelRole(DB, channel.id, userId, invite.role);
+    
+    await sendMessage(token, chatId,
+      '✅ <b>به کانال پیوستید!</b>\n\n' +
+      '📺 کانال: <b>' + escapeHTML(channel.title) + '</b>\n' +
+      '🎭 نقش: ' + CHANNEL_ROLE_LABELS[invite.role] + '\n\n' +
+      'برای مشاهده کانال‌ها: /channels'
+    );
+    await sendMessage(token, invite.invited_by,
+      '👥 کاربر <a href="tg://user?id=' + userId + '">' + escapeHTML(message.from.first_name || String(userId)) + '</a> ' +
+      'با نقش ' + CHANNEL_ROLE_LABELS[invite.role] + ' به کانال <b>' + escapeHTML(channel.title) + '</b> پیوست.'
+    );
+  }
+  
+  else if (text.startsWith('/revoke')) {
+    const parts = text.trim().split(/\s+/);
+    
+    if (parts.length < 3 || !parts[2].match(/^\d+$/)) {
+      await sendMessage(token, chatId,
+        '🚫 <b>راهنمای لغو دسترسی:</b>\n\n' +
+        '<code>/revoke [کانال] [شناسه کاربر]</code>\n\n' +
+        'مثال: <code>/revoke @mychannel 123456789</code>\n\n' +
+        '💡 شناسه اعضا را با <code>/members [کانال]</code> ببینید.'
+      );
+      return;
+    }
+    
+    const channelId = await resolveChannelId(token, parts[1]);
+    const memberId = parts[2];
+    const userData = await getUserData(DB, userId);
+    const channel = userData.channels.find(ch => ch.id === channelId);
+    
+    if (!channel) {
+      await sendMessage(token, chatId, '❌ این کانال در لیست شما یافت نشد!');
+      return;
+    }
+    
+    if (!hasChannelRole(await getChannelRole(DB, channelId, userId), 'owner')) {
+      await sendMessage(token, chatId, formatRoleRefusal('owner'));
+      return;
+    }
+    
+    if (memberId === String(userId)) {
+      await sendMessage(token, chatId, '⚠️ نمی‌توانید دسترسی خودتان را لغو کنید.\n\nبرای حذف کانال: <code>/removechannel</code>');
+      return;
+    }
+    
+    if (!(await getStoredChannelRole(DB, channelId, memberId))) {
+      await sendMessage(token, chatId, '❌ این کاربر عضو کانال نیست!');
+      return;
+    }
+    
+    const memberData = await getUserData(DB, memberId);
+    memberData.channels = memberData.channels.filter(ch => ch.id !== channelId);
+    await saveUserData(DB, memberId, memberData);
+    await removeChannelMember(DB, channelId, memberId);
+    await DB.delete(`notify:${memberId}:${channelId}`);
+    
+    await sendMessage(token, chatId, '✅ دسترسی کاربر <code>' + memberId + '</code> به کانال <b>' + escapeHTML(channel.title) + '</b> لغو شد.');
+    await sendMessage(token, memberId, '🚫 دسترسی شما به کانال <b>' + escapeHTML(channel.title) + '</b> لغو شد.');
+  }
+  
+  else if (text.startsWith('/members')) {
+    const parts = text.trim().split(/\s+/);
+    
+    if (parts.length < 2) {
+      await sendMessage(token, chatId,
+        '👥 <b>راهنمای اعضا:</b>\n\n' +
+        '<code>/members [کانال]</code>\n\n' +
+        'مثال: <code>/members @mychannel</code>'
+      );
+      return;
+    }
+    
+    const channelId = await resolveChannelId(token, parts[1]);
+    const userData = await getUserData(DB, userId);
+    const channel = userData.channels.find(ch => ch.id === channelId);
+    
+    if (!channel || !(await getChannelRole(DB, channelId, userId))) {
+      await sendMessage(token, chatId, '❌ این کانال در لیست شما یافت نشد!');
+      return;
+    }
+    
+    const members = Object.entries(await getChannelMembers(DB, channelId))
+      .sort(([, a], [, b]) => CHANNEL_ROLES.indexOf(b) - CHANNEL_ROLES.indexOf(a));
+    
+    await sendMessage(token, chatId,
+      '👥 <b>اعضای کانال ' + escapeHTML(channel.title) + '</b>\n\n' +
+      members.map(([memberId, role]) =>
+        CHANNEL_ROLE_LABELS[role] + ' — <a href="tg://user?id=' + memberId + '">' + memberId + '</a>' +
+        (memberId === String(userId) ? ' (شما)' : '')
+      ).join('\n')
+    );
+  }
+  
+  else if (text.startsWith('/channels')) {
+    const userData = await getUserData(DB, userId);
+    
+    if (userData.channels.length === 0) {
+      await sendMessage(token, chatId, 
+        '❌ <b>شما هنوز کانالی اضافه نکرده‌اید!</b>\n\n' +
+        'برای افزودن کانال از دستور زیر استفاده کنید:\n' +
+        '<code>/addchannel @yourchannel</code>'
+      );
+      return;
+    }
+    
+    let channelList = '📋 <b>کانال‌های شما:</b>\n\n';
+    
+    for (let i = 0; i < userData.channels.length; i++) {
+      const ch = userData.channels[i];
+      const backupCount = await getBackupCount(DB, ch.id);
+      
+      channelList += `${i + 1}. <b>${ch.title}</b>\n`;
+      channelList += `   🆔 ID: <code>${ch.id}</code>\n`;
+      if (ch.username) {
+        channelList += `   👤 Username: @${ch.username}\n`;
+      }
+      channelList += `   🎭 نقش: ${CHANNEL_ROLE_LABELS[await getChannelRole(DB, ch.id, userId)] || '—'}\n`;
+      channelList += `   💾 بکاپ‌ها: ${backupCount} پیام\n`;
+      channelList += `   📅 افزودن: ${new Date(ch.added_at).toLocaleDateString('fa-IR')}\n\n`;
+    }
+    
+    channelList += '💡 برای حذف: <code>/removechannel [ID]</code>';
+    
+    await sendMessage(token, chatId, channelList);
+  }
+  
+  else if (text.startsWith('/backup')) {
+    const userData = await getUserData(DB, userId);
+    
+    if (userData.channels.length === 0) {
+      await sendMessage(token, chatId, '❌ شما هنوز کانالی اضافه نکرده‌اید.');
+      return;
+    }
+    
+    let backupInfo = '💾 <b>اطلاعات بکاپ:</b>\n\n';
+    let totalBackups = 0;
+    
+    for (const ch of userData.channels) {
+      const index = await getBackupIndex(DB, ch.id);
+      totalBackups += index.count;
+      
+      backupInfo += `📺 <b>${ch.title}</b>\n`;
+      backupInfo += `   💾 تعداد: ${index.count} پیام\n`;
+      
+      const lastBackup = index.last_id ? await getBackupMessage(DB, ch.id, index.last_id) : null;
+      if (lastBackup) {
+        backupInfo += `   📅 آخرین: ${new Date(lastBackup.date * 1000).toLocaleString('fa-IR')}\n`;
+      }
+      
+      backupInfo += '\n';
+    }
+    
+    backupInfo += `📊 <b>مجموع:</b> ${totalBackups} پیام\n\n`;
+    backupInfo += '💡 دستور /restore برای انتقال بکاپ';
+    
+    await sendMessage(token, chatId, backupInfo);
+  }
+  
+  else if (text.startsWith('/trust')) {
+    const parts = text.trim().split(/\s+/);
+    
+    if (parts.length < 2) {
+      await sendMessage(token, chatId,
+        '🔍 <b>راهنمای بررسی بکاپ:</b>\n\n' +
+        '<code>/trust [کانال]</code>\n\n' +
+        'مثال: <code>/trust @mychannel</code>\n\n' +
+        '📊 نمایش 50 پیام آخر بکاپ شده'
+      );
+      return;
+    }
+    
+    const channelInput = parts[1];
+    const channelId = await resolveChannelId(token, channelInput);
+    
+    if (!channelId) {
+      await sendMessage(token, chatId, '❌ فرمت کانال نامعتبر است!');
+      return;
+    }
+    
+    const userData = await getUserData(DB, userId);
+    const channel = userData.channels.find(ch => ch.id === channelId);
+    
+    if (!channel) {
+      await sendMessage(token, chatId, 
+        '❌ این کانال در لیست شما یافت نشد!\n\n' +
+        'ابتدا با <code>/addchannel</code> اضافه کنید.'
+      );
+      return;
+    }
+    
+    if (!hasChannelRole(await getChannelRole(DB, channelId, userId), 'viewer')) {
+      await sendMessage(token, chatId, formatRoleRefusal('viewer'));
+      return;
+    }
+    
+    await sendMessage(token, chatId, '⏳ در حال دریافت بکاپ‌ها...');
+    
+    const lastBackups = await getLastBackups(DB, channelId, 50);
+    
+    if (lastBackups.length === 0) {
+      await sendMessage(token, chatId, 
+        '❌ هیچ بکاپی یافت نشد!\n\n' +
+        '📺 کانال: <b>' + channel.title + '</b>'
+      );
+      return;
+    }
+    
+    await sendMessage(token, chatId, 
+      '✅ <b>بکاپ‌های کانال:</b>\n\n' +
+      '📺 <b>' + channel.title + '</b>\n' +
+      '📊 تعداد: ' + lastBackups.length + ' پیام\n\n' +
+      '⏰ در حال ارسال...'
+    );
+    
+    let sentCount = 0;
+    const unsupported = [];
+    
+    for (const group of groupMediaAlbums(lastBackups)) {
+      const backup = group[0];
+      
+      try {
+        if (group.length > 1) {
+          const lastId = group[group.length - 1].message_id;
+          const result = await telegramRequest(token, 'sendMediaGroup', {
+            chat_id: chatId,
+            media: buildAlbumMedia(group, `🖼 #${backup.message_id}-#${lastId}\n`)
+          });
+          if (result.ok) sentCount += group.length;
+        } else {
+          const type = getBackupType(backup);
+          const dateStr = new Date(backup.date * 1000).toLocaleString('fa-IR');
+          const header = type === 'text'
+            ? `📄 #${backup.message_id}\n📅 ${dateStr}\n\n`
+            : `${BACKUP_TYPE_LABELS[type]?.split(' ')[0] || '📄'} #${backup.message_id}\n`;
+          
+          const result = await sendBackup(token, chatId, backup, header);
+          if (result.unsupported) unsupported.push(backup.message_id);
+          else if (result.ok) sentCount++;
+        }
+        
+        await new Promise(resolve => setTimeout(resolve, 200));
+        
+      } catch (err) {
+        console.error('Error sending backup:', err);
+      }
+    }
+    
+    await sendMessage(token, chatId, 
+      `✅ <b>اتمام ارسال</b>\n\n` +
+      `📊 ارسال شده: ${sentCount} پیام\n` +
+      (unsupported.length > 0 ? formatUnsupportedList(unsupported) : '')
+    );
+  }
+  
+  else if (text.startsWith('/search')) {
+    const parts = text.trim().split(/\s+/).slice(1);
+    const channelInput = parts.find(part => part.startsWith('@') || part.match(/^-100\d+$/));
+    const filterTokens = parts.filter(part => part.match(/^(from|to|types):/i));
+    const query = parts.filter(part => part !== channelInput && !filterTokens.includes(part)).join(' ');
+    
+    if (tokenizeSearchText(query).length === 0) {
+      await sendMessage(token, chatId,
+        '🔍 <b>راهنمای جستجو:</b>\n\n' +
+        '<code>/search [عبارت] [کانال] [فیلترها]</code>\n\n' +
+        'فیلترها:\n' +
+        '<code>from:2024-01-01</code> از تاریخ\n' +
+        '<code>to:2024-02-01</code> تا تاریخ\n' +
+        '<code>types:photo,video</code> نوع پیام\n\n' +
+        'مثال: <code>/search اطلاعیه @mychannel from:2024-01-01</code>'
+      );
+      return;
+    }
+    
+    const parsed = parseRestoreFilters(filterTokens);
+    if (parsed.error) {
+      await sendMessage(token, chatId, '❌ ' + escapeHTML(parsed.error));
+      return;
+    }
+    
+    const userData = await getUserData(DB, userId);
+    let channels = userData.channels;
+    
+    if (channelInput) {
+      const channelId = await resolveChannelId(token, channelInput);
+      channels = userData.channels.filter(ch => ch.id === channelId);
+      
+      if (channels.length === 0) {
+        await sendMessage(token, chatId, 
+          '❌ این کانال در لیست شما یافت نشد!\n\n' +
+          'ابتدا با <code>/addchannel</code> اضافه کنید.'
+        );
+        return;
+      }
+    }
+    
+    const hits = await searchBackups(DB, channels, query, parsed.filters);
+    
+    if (hits.length === 0) {
+      await sendMessage(token, chatId,
+        '🔍 نتیجه‌ای برای «' + escapeHTML(query) + '» یافت نشد.\n\n' +
+        '💡 پست‌هایی که پیش از فعال شدن جستجو بکاپ شده‌اند با <code>/reindex [کانال]</code> قابل جستجو می‌شوند.'
+      );
+      return;
+    }
+    
+    const shown = hits.slice(0, SEARCH_RESULT_LIMIT);
+    
+    let resultText = '🔍 <b>نتایج جستجو برای «' + escapeHTML(query) + '»</b>\n' +
+      formatRestoreFilters(parsed.filters) +
+      `📊 ${hits.length}${hits.length >= SEARCH_HIT_LIMIT ? '+' : ''} نتیجه` + (hits.length > shown.length ? ` (نمایش ${shown.length} مورد جدیدتر)` : '') + '\n\n';
+    
+    const keyboard = [];
+    shown.forEach(({ channel, backup }, index) => {
+      const type = getBackupType(backup);
+      const snippet = (backup.text || backup.caption || backup.poll?.question || backup.venue?.title || '').slice(0, 100);
+      resultText += `<b>${index + 1}.</b> ${BACKUP_TYPE_LABELS[type]?.split(' ')[0] || '📄'} #${backup.message_id} · ` +
+        escapeHTML(channel.title) + ' · ' + new Date(backup.date * 1000).toLocaleDateString('fa-IR') + '\n' +
+        (snippet ? escapeHTML(snippet) + '\n' : '') + '\n';
+      
+      keyboard.push([
+        { text: `🔗 ${index + 1}. باز کردن`, url: buildPostLink(channel.id, channel.username, backup.message_id) },
+        { text: `📤 ${index + 1}. ارسال`, callback_data: `search_send:${channel.id}:${backup.message_id}` }
+      ]);
+    });
+    
+    await sendMessage(token, chatId, resultText, {
+      reply_markup: { inline_keyboard: keyboard }
+    });
+  }
+  
+  else if (text.startsWith('/reindex')) {
+    const parts = text.trim().split(/\s+/);
+    
+    if (parts.length < 2) {
+      await sendMessage(token, chatId,
+        '🗂 <b>راهنمای بازسازی فهرست جستجو:</b>\n\n' +
+        '<code>/reindex [کانال]</code>\n\n' +
+        'مثال: <code>/reindex @mychannel</code>'
+      );
+      return;
+    }
+    
+    const channelId = await resolveChannelId(token, parts[1]);
+    const userData = await getUserData(DB, userId);
+    const channel = userData.channels.find(ch => ch.id === channelId);
+    
+    if (!channel) {
+      await sendMessage(token, chatId, 
+        '❌ این کانال در لیست شما یافت نشد!\n\n' +
+        'ابتدا با <code>/addchannel</code> اضافه کنید.'
+      );
+      return;
+    }
+    
+    if (!hasChannelRole(await getChannelRole(DB, channelId, userId), 'restorer')) {
+      await sendMessage(token, chatId, formatRoleRefusal('restorer'));
+      return;
+    }
+    
+    await sendMessage(token, chatId, '⏳ در حال بازسازی فهرست جستجو...');
+    await startSearchReindex(token, DB, context, chatId, channel);
+  }
+  
+  else if (text.startsWith('/history')) {
+    const parts = text.trim().split(/\s+/);
+    
+    if (parts.length < 3 || !parts[2].match(/^\d+$/)) {
+      await sendMessage(token, chatId,
+        '📝 <b>راهنمای تاریخچه ویرایش:</b>\n\n' +
+        '<code>/history [کانال] [شماره پیام]</code>\n\n' +
+        'مثال: <code>/history @mychannel 125</code>'
+      );
+      return;
+    }
+    
+    const channelId = await resolveChannelId(token, parts[1]);
+    
+    if (!channelId) {
+      await sendMessage(token, chatId, '❌ فرمت کانال نامعتبر است!');
+      return;
+    }
+    
+    const userData = await getUserData(DB, userId);
+    const channel = userData.channels.find(ch => ch.id === channelId);
+    
+    if (!channel) {
+      await sendMessage(token, chatId, 
+        '❌ این کانال در لیست شما یافت نشد!\n\n' +
+        'ابتدا با <code>/addchannel</code> اضافه کنید.'
+      );
+      return;
+    }
+    
+    if (!hasChannelRole(await getChannelRole(DB, channelId, userId), 'viewer')) {
+      await sendMessage(token, chatId, formatRoleRefusal('viewer'));
+      return;
+    }
+    
+    const messageId = parseInt(parts[2]);
+    const backup = await getBackupMessage(DB, channelId, messageId);
+    
+    if (!backup) {
+      await sendMessage(token, chatId, '❌ بکاپی برای پیام #' + messageId + ' یافت نشد!');
+      return;
+    }
+    
+    const history = getBackupHistory(backup);
+    let historyText = 
+      '📜 <b>تاریخچه ویرایش</b>\n\n' +
+      '📺 کانال: <b>' + channel.title + '</b>\n' +
+      '📄 پیام: #' + messageId + '\n' +
+      '🔢 تعداد نسخه‌ها: ' + history.length + '\n\n';
+    
+    for (let index = 0; index < history.length; index++) {
+      const version = history[index];
+      const versionDate = version.edit_date || backup.date;
+      const body = version.text || version.caption || '—';
+      const entry = 
+        '━━━━━━━━━━━━━━━━\n' +
+        `<b>${index === 0 ? '📌 نسخه اصلی' : '✏️ ویرایش ' + index}</b>\n` +
+        `📅 ${new Date(versionDate * 1000).toLocaleString('fa-IR')}\n\n` +
+        escapeHTML(body.length > 300 ? body.slice(0, 300) + '…' : body) + '\n\n';
+      
+      // Stay under Telegram's message length limit
+      if (historyText.length + entry.length > 3800) {
+        historyText += `… و ${history.length - index} نسخه دیگر`;
+        break;
+      }
+      historyText += entry;
+    }
+    
+    await sendMessage(token, chatId, historyText);
+  }
+  
+  else if (text.startsWith('/export')) {
+    const parts = text.trim().split(/\s+/);
+    
+    if (parts.length < 2) {
+      await sendMessage(token, chatId,
+        '📦 <b>راهنمای خروجی گرفتن:</b>\n\n' +
+        '<code>/export [کانال] [csv]</code>\n\n' +
+        'مثال: <code>/export @mychannel csv</code>\n\n' +
+        '💾 یک فایل JSON از تمام بکاپ‌های کانال (و در صورت درخواست، فهرست CSV) ارسال می‌شود.'
+      );
+      return;
+    }
+    
+    const channelId = await resolveChannelId(token, parts[1]);
+    
+    if (!channelId) {
+      await sendMessage(token, chatId, '❌ فرمت کانال نامعتبر است!');
+      return;
+    }
+    
+    const userData = await getUserData(DB, userId);
+    const channel = userData.channels.find(ch => ch.id === channelId);
+    
+    if (!channel) {
+      await sendMessage(token, chatId, 
+        '❌ این کانال در لیست شما یافت نشد!\n\n' +
+        'ابتدا با <code>/addchannel</code> اضافه کنید.'
+      );
+      return;
+    }
+    
+    if (!hasChannelRole(await getChannelRole(DB, channelId, userId), 'viewer')) {
+      await sendMessage(token, chatId, formatRoleRefusal('viewer'));
+      return;
+    }
+    
+    if (await getBackupCount(DB, channelId) === 0) {
+      await sendMessage(token, chatId, 
+        '❌ هیچ بکاپی یافت نشد!\n\n' +
+        '📺 کانال: <b>' + channel.title + '</b>'
+      );
+      return;
+    }
+    
+    await sendMessage(token, chatId, '⏳ در حال آماده‌سازی خروجی...\n\nفایل‌ها پس از آماده شدن ارسال می‌شوند.');
+    
+    await startChannelExport(token, DB, context, userId, channel, {
+      chatId,
+      csv: parts[2] === 'csv',
+      baseUrl: env.PUBLIC_URL ? env.PUBLIC_URL.replace(/\/$/, '') : ''
+    });
+  }
+  
+  else if (text.startsWith('/manualbackup')) {
+    const parts = text.trim().split(/\s+/);
+    
+    if (parts.length < 2) {
+      await sendMessage(token, chatId,
+        '📥 <b>راهنمای بکاپ دستی:</b>\n\n' +
+        '<code>/manualbackup [کانال]</code>\n\n' +
+        'مثال: <code>/manualbackup @mychannel</code>\n\n' +
+        '💡 در صورت شکست بکاپ خودکار، پیام‌ها را از کانال به ربات فوروارد کنید.\n' +
+        'ربات به صورت خودکار آن‌ها را ذخیره می‌کند.'
+      );
+      return;
+    }
+    
+    const channelInput = parts[1];
+    const channelId = await resolveChannelId(token, channelInput);
+    
+    if (!channelId) {
+      await sendMessage(token, chatId, '❌ فرمت کانال نامعتبر است!');
+      return;
+    }
+    
+    const userData = await getUserData(DB, userId);
+    const channel = userData.channels.find(ch => ch.id === channelId);
+    
+    if (!channel) {
+      await sendMessage(token, chatId, 
+        '❌ این کانال در لیست شما یافت نشد!\n\n' +
+        'ابتدا با <code>/addchannel</code> اضافه کنید.'
+      );
+      return;
+    }
+    
+    if (!hasChannelRole(await getChannelRole(DB, channelId, userId), 'restorer')) {
+      await sendMessage(token, chatId, formatRoleRefusal('restorer'));
+      return;
+    }
+    
+    // Set manual backup mode
+    await DB.put(`manual_backup:${userId}`, channelId);
+    
+    await sendMessage(token, chatId,
+      '✅ <b>حالت بکاپ دستی فعال شد!</b>\n\n' +
+      '📺 کانال: <b>' + channel.title + '</b>\n\n' +
+      '📝 <b>راهنما:</b>\n' +
+      '1️⃣ به کانال خود بروید\n' +
+      '2️⃣ پیام‌های مورد نظر را انتخاب کنید\n' +
+      '3️⃣ آن‌ها را به این ربات فوروارد کنید\n\n' +
+      '💾 ربات به صورت خودکار پیام‌های فوروارد شده را بکاپ می‌گیرد.\n\n' +
+      '⏹ برای توقف: <code>/stopmanual</code>'
+    );
+  }
+  
+  else if (text.startsWith('/stopmanual')) {
+    await DB.delete(`manual_backup:${userId}`);
+    await sendMessage(token, chatId, 
+      '⏹ <b>حالت بکاپ دستی غیرفعال شد.</b>\n\n' +
+      'پیام‌های فوروارد شده دیگر ذخیره نمی‌شوند.'
+    );
+  }
+  
+  else if (text.startsWith('/restorestatus')) {
+    const job = await getLatestRestoreJob(DB, userId);
+    
+    if (!job) {
+      await sendMessage(token, chatId, '❌ هیچ بازیابی‌ای ثبت نشده است.');
+      return;
+    }
+    
+    await sendMessage(token, chatId, formatRestoreStatus(job));
+  }
+  
+  else if (text.startsWith('/pauserestore')) {
+    const job = await getLatestRestoreJob(DB, userId);
+    
+    if (!job || job.status !== 'running') {
+      await sendMessage(token, chatId, '❌ بازیابی در حال اجرایی یافت نشد.');
+      return;
+    }
+    
+    job.status = 'paused';
+    await saveRestoreJob(DB, job);
+    
+    await sendMessage(token, chatId,
+      '⏸ <b>بازیابی متوقف شد</b>\n\n' +
+      '📍 آخرین پیام منتقل شده: #' + job.cursor + '\n\n' +
+      'برای ادامه: /resumerestore'
+    );
+  }
+  
+  else if (text.startsWith('/resumerestore')) {
+    const job = await getLatestRestoreJob(DB, userId);
+    
+    // Also allows kicking a running job whose worker was evicted
+    if (!job || (job.status !== 'paused' && !(job.status === 'running' && job.lease_until < Date.now()))) {
+      await sendMessage(token, chatId, '❌ بازیابی قابل ادامه‌ای یافت نشد.');
+      return;
+    }
+    
+    // A slice that hasn't seen the pause yet still holds the lease; the cron picks the job up after it
+    const leaseHeld = job.lease_until > Date.now();
+    job.status = 'running';
+    await saveRestoreJob(DB, job);
+    
+    await sendMessage(token, chatId,
+      '▶️ <b>بازیابی ادامه می‌یابد</b>\n\n' +
+      '📍 از پیام بعد از #' + job.cursor + '\n\n' +
+      'وضعیت: /restorestatus'
+    );
+    
+    if (!leaseHeld) {
+      context.waitUntil(runRestoreSlice(token, DB, job.id, blobs));
+    }
+  }
+  
+  else if (text.startsWith('/cancelrestore')) {
+    const job = await getLatestRestoreJob(DB, userId);
+    
+    if (!isRestoreJobActive(job)) {
+      await sendMessage(token, chatId, '❌ بازیابی فعالی یافت نشد.');
+      return;
+    }
+    
+    job.status = 'cancelled';
+    job.finished_at = Date.now();
+    await saveRestoreJob(DB, job);
+    await updateRestoreStatus(token, job);
+    
+    await sendMessage(token, chatId,
+      '⏹ <b>بازیابی لغو شد</b>\n\n' +
+      '✅ منتقل شده: ' + job.restored + ' از ' + job.total + ' پیام'
+    );
+  }
+  
+  else if (text.startsWith('/restore')) {
+    const parts = text.trim().split(/\s+/);
+    
+    // روش سریع: /restore @source @target [latest|original] [فیلترها]
+    if (parts.length >= 3) {
+      const sourceInput = parts[1];
+      const targetInput = parts[2];
+      const dryRun = parts.includes('--dry-run');
+      const options = parts.slice(3).filter(part => part !== '--dry-run');
+      const version = RESTORE_VERSION_LABELS[options[0]] ? options.shift() : 'latest';
+      const { filters, error: filterError } = parseRestoreFilters(options);
+      
+      const sourceId = await resolveChannelId(token, sourceInput);
+      const targetId = await resolveChannelId(token, targetInput);
+      
+      if (!sourceId || !targetId || filterError) {
+        await sendMessage(token, chatId, 
+          '❌ <b>فرمت نامعتبر!</b>\n\n' +
+          (filterError ? '⚠️ ' + escapeHTML(filterError) + '\n\n' : '') +
+          '<b>استفاده صحیح:</b>\n' +
+          '<code>/restore @sourcechannel @targetchannel [latest|original] [فیلترها] [--dry-run]</code>\n\n' +
+          '<b>فیلترها:</b> <code>from:2024-01-01 to:2024-01-31 ids:100-500 types:photo,document q:کلمه</code>\n\n' +
+          'یا برای انتخاب با دکمه:\n' +
+          '<code>/restore</code>'
+        );
+        return;
+      }
+      
+      const userData = await getUserData(DB, userId);
+      const sourceChannel = userData.channels.find(ch => ch.id === sourceId);
+      
+      if (!sourceChannel) {
+        await sendMessage(token, chatId, 
+          '❌ کانال مبدا در لیست شما یافت نشد!\n\n' +
+          'ابتدا با <code>/addchannel</code> اضافه کنید.'
+        );
+        return;
+      }
+      
+      if (!hasChannelRole(await getChannelRole(DB, sourceId, userId), 'restorer')) {
+        await sendMessage(token, chatId, formatRoleRefusal('restorer'));
+        return;
+      }
+      
+      try {
+        const targetChat = await telegramRequest(token, 'getChat', { chat_id: targetId });
+        
+        if (!targetChat.ok) {
+          await sendMessage(token, chatId, 
+            '❌ خطا در دسترسی به کانال مقصد!\n\n' +
+            'مطمئن شوید ربات در کانال مقصد ادمین است.'
+          );
+          return;
+        }
+        
+        const refusal = await checkChannelPermission(token, sourceId, userId, sourceChannel.title) ||
+          await checkChannelPermission(token, targetId, userId, targetChat.result.title, true);
+        if (refusal) {
+          await sendMessage(token, chatId, refusal);
+          return;
+        }
+        
+        if (dryRun) {
+          await startRestoreDryRun(token, DB, context, chatId, {
+            sourceId,
+            targetId,
+            sourceTitle: sourceChannel.title,
+            targetTitle: targetChat.result.title,
+            sourceUsername: sourceChannel.username,
+            targetUsername: targetChat.result.username,
+            version,
+            filters
+          });
+          return;
+        }
+        
+        // Filtered restores show the selected count and wait for confirmation
+        if (Object.keys(filters).length > 0) {
+          await clearRestoreState(DB, userId);
+          await confirmRestore(token, DB, userId, chatId, { sourceId, targetId, version, filters });
+          return;
+        }
+        
+        const backupCount = await getBackupCount(DB, sourceId);
+        
+        if (backupCount === 0) {
+          await sendMessage(token, chatId, '❌ هیچ بکاپی یافت نشد!');
+          return;
+        }
+        
+        await startRestore(token, DB, context, {
+          userId,
+          chatId,
+          sourceId,
+          targetId,
+          sourceTitle: sourceChannel.title,
+          targetTitle: targetChat.result.title,
+          sourceUsername: sourceChannel.username,
+          targetUsername: targetChat.result.username,
+          backupCount,
+          version
+        }, blobs);
+        
+      } catch (err) {
+        console.error('Quick restore error:', err);
+        await sendMessage(token, chatId, 
+          '❌ خطا در بازیابی!\n\n' +
+          'خطا: ' + err.message
+        );
+      }
+      
+      return;
+    }
+    
+    // روش معمولی با دکمه
+    const userData = await getUserData(DB, userId);
+    
+    if (userData.channels.length === 0) {
+      await sendMessage(token, chatId, '❌ شما هنوز کانالی اضافه نکرده‌اید.');
+      return;
+    }
+    
+    // Create inline keyboard with channels
+    const keyboard = {
+      inline_keyboard: userData.channels.map(ch => [{
+        text: `📺 ${ch.title}`,
+        callback_data: `restore_source:${ch.id}`
+      }])
+    };
+    
+    await sendMessage(token, chatId, 
+      '📤 <b>انتقال بکاپ به کانال جدید</b>\n\n' +
+      '🔹 <b>روش 1: انتخاب با دکمه (آسان)</b>\n' +
+      'کانال مبدا را از دکمه‌های زیر انتخاب کنید:\n\n' +
+      '━━━━━━━━━━━━━━━━\n\n' +
+      '⚡️ <b>روش 2: دستور سریع</b>\n' +
+      'برای انجام سریع‌تر:\n' +
+      '<code>/restore @sourcechannel @targetchannel</code>\n\n' +
+      '<b>مثال:</b>\n' +
+      '<code>/restore @oldchannel @newchannel</code>\n' +
+      '<code>/restore -1001234567890 @newchannel</code>\n' +
+      '<code>/restore @oldchannel @newchannel original</code> (نسخه اصلی پیام‌های ویرایش‌شده)\n' +
+      '<code>/restore @oldchannel @newchannel from:2024-05-01 types:document</code> (با فیلتر)\n' +
+      '<code>/restore @oldchannel @newchannel --dry-run</code> (پیش‌نمایش بدون ارسال)',
+      { reply_markup: keyboard }
+    );
+  }
+  
+  else if (text.startsWith('/import')) {
+    const parts = text.trim().split(/\s+/);
+    
+    if (parts.length < 2) {
+      await sendMessage(token, chatId,
+        '📥 <b>راهنمای وارد کردن تاریخچه:</b>\n\n' +
+        '<code>/import [کانال]</code>\n\n' +
+        'مثال: <code>/import @mychannel</code>\n\n' +
+        '1️⃣ در Telegram Desktop از منوی کانال گزینه «Export chat history» را با فرمت JSON انتخاب کنید\n' +
+        '2️⃣ دستور بالا را ارسال کنید\n' +
+        '3️⃣ فایل <code>result.json</code> را برای ربات بفرستید\n\n' +
+        '⚠️ حداکثر حجم فایل: 20MB'
+      );
+      return;
+    }
+    
+    const channelId = await resolveChannelId(token, parts[1]);
+    
+    if (!channelId) {
+      await sendMessage(token, chatId, '❌ فرمت کانال نامعتبر است!');
+      return;
+    }
+    
+    const userData = await getUserData(DB, userId);
+    const channel = userData.channels.find(ch => ch.id === channelId);
+    
+    if (!channel) {
+      await sendMessage(token, chatId, 
+        '❌ این کانال در لیست شما یافت نشد!\n\n' +
+        'ابتدا با <code>/addchannel</code> اضافه کنید.'
+      );
+      return;
+    }
+    
+    if (!hasChannelRole(await getChannelRole(DB, channelId, userId), 'restorer')) {
+      await sendMessage(token, chatId, formatRoleRefusal('restorer'));
+      return;
+    }
+    
+    await DB.put(`import_pending:${userId}`, channelId, { expirationTtl: 60 * 60 });
+    
+    await sendMessage(token, chatId,
+      '📥 <b>آماده دریافت فایل</b>\n\n' +
+      '📺 کانال: <b>' + channel.title + '</b>\n\n' +
+      'فایل <code>result.json</code> خروجی Telegram Desktop را ارسال کنید.\n' +
+      'پیام‌هایی که قبلا بکاپ شده‌اند رد می‌شوند.'
+    );
+  }
+  
+  else if (message.document && !message.forward_from_chat) {
+    // Handle Telegram Desktop export uploaded after /import
+    const channelId = await DB.get(`import_pending:${userId}`);
+    if (!channelId) return;
+    
+    // Bot API only lets bots download files up to 20MB
+    if (message.document.file_size > 20 * 1024 * 1024) {
+      await sendMessage(token, chatId, '❌ حجم فایل بیش از 20MB است و ربات نمی‌تواند آن را دریافت کند.');
+      return;
+    }
+    
+    await DB.delete(`import_pending:${userId}`);
+    await sendMessage(token, chatId, '⏳ فایل دریافت شد و در پس‌زمینه بررسی و وارد می‌شود...');
+    
+    await startDesktopImport(token, DB, context, chatId, channelId, message.document.file_id);
+  }
+  
+  else if (message.forward_from_chat) {
+    // Handle forwarded messages for manual backup
+    const manualBackupChannel = await DB.get(`manual_backup:${userId}`);
+    
+    if (manualBackupChannel && message.forward_from_chat.id.toString() === manualBackupChannel) {
+      const forwardedMsg = message;
+      const channelId = message.forward_from_chat.id;
+      const originalMessageId = message.forward_from_message_id;
+      
+      // Check if already backed up
+      if (await isMessageBackedUp(DB, channelId, originalMessageId)) {
+        await sendMessage(token, chatId, '⚠️ این پیام قبلا بکاپ گرفته شده است.');
+        return;
+      }
+      
+      // Save manual backup
+      const backupData = {
+        message_id: originalMessageId,
+        date: forwardedMsg.forward_date || Date.now(),
+        ...extractMessageContent(forwardedMsg),
+        media_group_id: forwardedMsg.media_group_id || null,
+        ...extractReplyInfo(forwardedMsg),
+        backed_up: true,
+        manual_backup: true
+      };
+      
+      await saveBackupMessage(DB, channelId, originalMessageId, backupData);
+      await queueMessageFile(token, DB, context, blobs, channelId, originalMessageId, forwardedMsg);
+      
+      await sendMessage(token, chatId, 
+        '✅ بکاپ شد!\n\n' +
+        '📄 پیام #' + originalMessageId
+      );
+    }
+  }
+  
+  else if (text.startsWith('/notifications')) {
+    const userData = await getUserData(DB, userId);
+    
+    if (userData.channels.length === 0) {
+      await sendMessage(token, chatId, '❌ شما هنوز کانالی اضافه نکرده‌اید.');
+      return;
+    }
+    
+    const menu = await buildNotifySettingsMenu(DB, userId, userData);
+    await sendMessage(token, chatId, menu.text, { reply_markup: menu.reply_markup });
+  }
+  
+  else if (text.startsWith('/publish') || text.startsWith('/unpublish')) {
+    const parts = text.trim().split(/\s+/);
+    const unpublish = parts[0].startsWith('/unpublish');
+    
+    if (parts.length < 2) {
+      await sendMessage(token, chatId,
+        '🌐 <b>آرشیو عمومی کانال:</b>\n\n' +
+        '<code>/publish [کانال] [نامک]</code>\n' +
+        '<code>/unpublish [کانال]</code>\n\n' +
+        'مثال: <code>/publish @mychannel my-archive</code>\n\n' +
+        '💡 آرشیو بدون ورود برای همه قابل مشاهده است، حتی اگر کانال حذف شود.'
+      );
+      return;
+    }
+    
+    const channelId = await resolveChannelId(token, parts[1]);
+    const userData = await getUserData(DB, userId);
+    const channel = userData.channels.find(ch => ch.id === channelId);
+    
+    if (!channel) {
+      await sendMessage(token, chatId, '❌ این کانال در لیست شما یافت نشد!');
+      return;
+    }
+    
+    if (!hasChannelRole(await getChannelRole(DB, channelId, userId), 'owner')) {
+      await sendMessage(token, chatId, formatRoleRefusal('owner'));
+      return;
+    }
+    
+    if (unpublish) {
+      const removed = await unpublishChannel(DB, channelId);
+      await sendMessage(token, chatId, removed
+        ? '✅ آرشیو عمومی <b>' + escapeHTML(channel.title) + '</b> از دسترس خارج شد.'
+        : '❌ آرشیو این کانال منتشر نشده است.');
+      return;
+    }
+    
+    const slug = (parts[2] || channel.username || 'c' + channelId.replace(/^-100/, '')).toLowerCase();
+    if (!ARCHIVE_SLUG_PATTERN.test(slug)) {
+      await sendMessage(token, chatId, '❌ نامک نامعتبر است. فقط حروف انگلیسی کوچک، عدد، - و _ (3 تا 64 حرف).');
+      return;
+    }
+    
+    const taken = await DB.get(`publish:${slug}`);
+    if (taken && JSON.parse(taken).channel_id !== channelId) {
+      await sendMessage(token, chatId, '❌ این نامک قبلا برای کانال دیگری استفاده شده است.');
+      return;
+    }
+    
+    await publishChannel(DB, channel, slug, userId);
+    const baseUrl = env.PUBLIC_URL ? env.PUBLIC_URL.replace(/\/$/, '') : '';
+    
+    await sendMessage(token, chatId,
+      '🌐 <b>آرشیو عمومی منتشر شد!</b>\n\n' +
+      '📺 کانال: <b>' + escapeHTML(channel.title) + '</b>\n' +
+      `🔗 <code>${baseUrl}/archive/${slug}</code>\n\n` +
+      'برای حذف: <code>/unpublish ' + escapeHTML(parts[1]) + '</code>'
+    );
+  }
+  
+  else if (text.startsWith('/feed')) {
+    const parts = text.trim().split(/\s+/);
+    
+    if (parts.length < 2) {
+      await sendMessage(token, chatId,
+        '📰 <b>فید RSS/Atom/JSON کانال:</b>\n\n' +
+        '<code>/feed [کانال]</code> - نمایش لینک‌های فید\n' +
+        '<code>/feed [کانال] reset</code> - ساخت توکن جدید (لینک‌های قبلی باطل می‌شوند)\n' +
+        '<code>/feed [کانال] off</code> - غیرفعال کردن فید'
+      );
+      return;
+    }
+    
+    const channelId = await resolveChannelId(token, parts[1]);
+    const userData = await getUserData(DB, userId);
+    const channel = userData.channels.find(ch => ch.id === channelId);
+    
+    if (!channel) {
+      await sendMessage(token, chatId, '❌ این کانال در لیست شما یافت نشد!');
+      return;
+    }
+    
+    if (!hasChannelRole(await getChannelRole(DB, channelId, userId), 'owner')) {
+      await sendMessage(token, chatId, formatRoleRefusal('owner'));
+      return;
+    }
+    
+    if (parts[2] === 'off') {
+      await DB.delete(`feed:${channelId}`);
+      await sendMessage(token, chatId, '✅ فید کانال <b>' + escapeHTML(channel.title) + '</b> غیرفعال شد.');
+      return;
+    }
+    
+    const existing = await DB.get(`feed:${channelId}`);
+    const feedToken = existing && parts[2] !== 'reset'
+      ? JSON.parse(existing).token
+      : await createFeedToken(DB, channel, userId);
+    const baseUrl = env.PUBLIC_URL ? env.PUBLIC_URL.replace(/\/$/, '') : '';
+    
+    await sendMessage(token, chatId,
+      '📰 <b>فیدهای ' + escapeHTML(channel.title) + '</b>\n\n' +
+      ['rss', 'atom', 'json'].map(format =>
+        `<code>${baseUrl}/feed/${channelId}.${format}?token=${feedToken}</code>`
+      ).join('\n') + '\n\n' +
+      '🔐 هر کس این لینک‌ها را داشته باشد پست‌ها را می‌بیند.\n' +
+      'برای باطل کردن: <code>/feed ' + escapeHTML(parts[1]) + ' reset</code>'
+    );
+  }
+  
+  else if (text.startsWith('/apikey')) {
+    const action = text.trim().split(/\s+/)[1];
+    const baseUrl = env.PUBLIC_URL ? env.PUBLIC_URL.replace(/\/$/, '') : '';
+    
+    if (action === 'new') {
+      const apiKey = await issueApiKey(DB, userId);
+      await sendMessage(token, chatId,
+        '🔑 <b>کلید API جدید ساخته شد</b>\n\n' +
+        `<code>${apiKey}</code>\n\n` +
+        '⚠️ این کلید فقط یک بار نمایش داده می‌شود و کلید قبلی باطل شد.\n\n' +
+        '<b>نمونه استفاده:</b>\n' +
+        `<code>curl -H "Authorization: Bearer ${apiKey}" ${baseUrl}/api/v1/channels</code>`
+      );
+    } else if (action === 'revoke') {
+      const revoked = await revokeApiKey(DB, userId);
+      await sendMessage(token, chatId, revoked ? '✅ کلید API باطل شد.' : '❌ کلید API فعالی ندارید.');
+    } else {
+      const current = await DB.get(`apikey_user:${userId}`);
+      const keyInfo = current ? JSON.parse(current) : null;
+      await sendMessage(token, chatId,
+        '🔑 <b>دسترسی API</b>\n\n' +
+        (keyInfo
+          ? `کلید فعال: <code>${API_KEY_PREFIX}…${keyInfo.hint}</code>\n📅 ساخته شده: ${new Date(keyInfo.created_at).toLocaleString('fa-IR')}\n\n`
+          : 'هنوز کلید API ندارید.\n\n') +
+        '<code>/apikey new</code> - ساخت کلید جدید (کلید قبلی باطل می‌شود)\n' +
+        '<code>/apikey revoke</code> - باطل کردن کلید\n\n' +
+        '<b>مسیرها:</b>\n' +
+        '<code>GET /api/v1/channels</code>\n' +
+        '<code>GET /api/v1/channels/{id}/backups?page=&amp;limit=&amp;from=&amp;to=&amp;ids=&amp;types=&amp;q=</code>\n' +
+        '<code>GET /api/v1/channels/{id}/backups/{message_id}</code>\n' +
+        '<code>POST /api/v1/channels/{id}/restores</code>\n' +
+        '<code>GET /api/v1/restores/{job_id}</code>\n' +
+        '<code>POST /api/v1/channels/{id}/exports</code>\n' +
+        '<code>GET /api/v1/exports/{export_id}</code>'
+      );
+    }
+  }
+  
+  else if (text.startsWith('/notifyoff')) {
+    await DB.put(`notify:${userId}`, 'off');
+    await sendMessage(token, chatId,
+      '🔕 <b>اطلاع‌رسانی غیرفعال شد</b>\n\n' +
+      'دیگر برای بکاپ‌های جدید پیام دریافت نمی‌کنید.\n' +
+      'کانال‌هایی که در /notifications تنظیم جداگانه دارند تغییر نمی‌کنند.\n\n' +
+      'برای فعال‌سازی: /notifyon'
+    );
+  }
+  
+  else if (text.startsWith('/notifyon')) {
+    await DB.put(`notify:${userId}`, 'on');
+    await sendMessage(token, chatId,
+      '🔔 <b>اطلاع‌رسانی فعال شد</b>\n\n' +
+      'از این پس برای هر بکاپ جدید پیام دریافت می‌کنید.\n' +
+      'کانال‌هایی که در /notifications تنظیم جداگانه دارند تغییر نمی‌کنند.\n\n' +
+      'برای غیرفعال‌سازی: /notifyoff'
+    );
+  }
+  
+  else if (text.startsWith('/checkbackup')) {
+    const storageChat = await getStorageChat(env);
+    if (!storageChat.ok) {
+      await sendMessage(token, chatId, '❌ <b>چت ذخیره‌سازی آماده نیست!</b>\n\n' + escapeHTML(storageChat.error));
+      return;
+    }
+    
+    await sendMessage(token, chatId, '🔍 در حال بررسی پیام‌های جدید...');
+    
+    context.waitUntil(
+      (async () => {
+        await periodicBackupCheck(DB, token, storageChat.chat_id);
+      })()
+    );
+    
+    await sendMessage(token, chatId,
+      '✅ بررسی شروع شد!\n\n' +
+      'در صورت یافتن پیام جدید، به شما اطلاع داده می‌شود.'
+    );
+  }
+  
+  else if (text.startsWith('/help')) {
+    await sendMessage(token, chatId,
+      '📖 <b>راهنمای کامل</b>\n\n' +
+      '━━━━━━━━━━━━━━━━\n\n' +
+      '<b>🚀 شروع:</b>\n' +
+      '1️⃣ ربات را به کانال اضافه کنید\n' +
+      '2️⃣ ربات را ادمین کنید (دسترسی حذف پیام)\n' +
+      '3️⃣ دستور: <code>/addchannel @channel</code>\n\n' +
+      '<b>📋 دستورات اصلی:</b>\n\n' +
+      '<b>/addchannel [کانال]</b>\n' +
+      '↳ افزودن کانال + بکاپ خودکار\n\n' +
+      '<b>/manualbackup [کانال]</b>\n' +
+      '↳ بکاپ دستی با فوروارد پیام‌ها\n\n' +
+      '<b>/channels</b>\n' +
+      '↳ لیست کانال‌ها و آمار\n\n' +
+      '<b>/backup</b>\n' +
+      '↳ مشاهده تعداد بکاپ‌ها\n\n' +
+      '<b>/trust [کانال]</b>\n' +
+      '↳ نمایش 50 پیام آخر\n\n' +
+      '<b>/search [عبارت] [کانال]</b>\n' +
+      '↳ جستجوی متن در بکاپ‌ها (فارسی و انگلیسی)\n' +
+      '↳ فیلتر: <code>from: to: types:</code>\n\n' +
+      '<b>/reindex [کانال]</b>\n' +
+      '↳ قابل جستجو کردن بکاپ‌های قدیمی\n\n' +
+      '<b>@ربات [عبارت]</b>\n' +
+      '↳ جستجو و اشتراک بکاپ‌ها در هر چتی (حالت Inline)\n\n' +
+      '<b>/history [کانال] [شماره]</b>\n' +
+      '↳ نمایش نسخه‌های ویرایش‌شده یک پیام\n\n' +
+      '<b>/export [کانال] [csv]</b>\n' +
+      '↳ دریافت فایل خروجی بکاپ‌ها\n\n' +
+      '<b>/import [کانال]</b>\n' +
+      '↳ وارد کردن result.json از Telegram Desktop\n\n' +
+      '<b>/restore</b>\n' +
+      '↳ انتقال بکاپ با دکمه (مرحله‌ای)\n' +
+      '↳ فیلتر: <code>from: to: ids: types: q:</code>\n' +
+      '↳ پیش‌نمایش بدون ارسال: <code>--dry-run</code>\n\n' +
+      '<b>/restorestatus</b>\n' +
+      '↳ وضعیت آخرین بازیابی\n\n' +
+      '<b>/pauserestore</b> | <b>/resumerestore</b> | <b>/cancelrestore</b>\n' +
+      '↳ توقف، ادامه یا لغو بازیابی در جریان\n\n' +
+      '<b>/removechannel [کانال]</b>\n' +
+      '↳ حذف کانال از لیست (فقط مالک)\n\n' +
+      '<b>/invite [کانال] [owner|restorer|viewer]</b>\n' +
+      '↳ ساخت کد دعوت برای همکاران\n\n' +
+      '<b>/join [کد]</b>\n' +
+      '↳ پیوستن به کانال با کد دعوت\n\n' +
+      '<b>/members [کانال]</b> | <b>/revoke [کانال] [کاربر]</b>\n' +
+      '↳ مشاهده اعضا و لغو دسترسی\n\n' +
+      '<b>/publish [کانال] [نامک]</b> | <b>/unpublish [کانال]</b>\n' +
+      '↳ انتشار آرشیو عمومی کانال روی وب\n\n' +
+      '<b>/feed [کانال] [reset|off]</b>\n' +
+      '↳ لینک فید RSS، Atom و JSON با توکن اختصاصی\n\n' +
+      '<b>/apikey [new|revoke]</b>\n' +
+      '↳ کلید دسترسی به API برای ابزارهای خودتان\n\n' +
+      '<b>🔔 دستورات جدید:</b>\n\n' +
+      '<b>/notifications</b>\n' +
+      '↳ حالت اطلاع‌رسانی هر کانال: فوری، خلاصه ساعتی/روزانه، فقط خطاها یا خاموش\n\n' +
+      '<b>/notifyoff</b>\n' +
+      '↳ غیرفعال کردن اطلاع‌رسانی بکاپ\n\n' +
+      '<b>/notifyon</b>\n' +
+      '↳ فعال کردن اطلاع‌رسانی بکاپ\n\n' +
+      '<b>/checkbackup</b>\n' +
+      '↳ بررسی دستی پیام‌های جدید\n\n' +
+      '━━━━━━━━━━━━━━━━\n\n' +
+      '<b>✨ ویژگی‌ها:</b>\n' +
+      '✅ بکاپ خودکار پیام‌های جدید\n' +
+      '✅ بکاپ پیام‌های قبلی هنگام افزودن\n' +
+      '✅ بکاپ دستی با فوروارد\n' +
+      '✅ انتقال آسان با دکمه شیشه‌ای\n' +
+      '✅ متن، عکس، ویدیو، فایل، صوت، ویس، ویدیو مسیج\n' +
+      '✅ نظرسنجی، موقعیت، مکان، مخاطب و تاس\n' +
+      '✅ فایل‌های تا 25MB\n' +
+      '✅ مدیریت چند کانال\n' +
+      '✅ حفظ ترتیب در بازیابی\n\n' +
+      '<b>📥 بکاپ دستی:</b>\n' +
+      '1️⃣ <code>/manualbackup @channel</code>\n' +
+      '2️⃣ پیام‌ها را از کانال فوروارد کنید\n' +
+      '3️⃣ <code>/stopmanual</code> برای پایان\n\n' +
+      '<b>⚠️ نکات:</b>\n' +
+      '• ربات باید ادمین باشد\n' +
+      '• برای افزودن و بازیابی، خود شما هم باید ادمین کانال باشید\n' +
+      '• دسترسی "حذف پیام" ضروری است\n' +
+      '• فایل‌های بالای 25MB بکاپ نمی‌شوند'
+    );
+  }
+}
+
+// Web panel HTML
+function getPanelHTML(tokenSet, kvConnected) {
+  return `<!DOCTYPE html>
+<html dir="rtl" lang="fa">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>پنل ربات تلگرام - بکاپ کانال</title>
+  <style>
+    * { margin: 0; padding: 0; box-sizing: border-box; }
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+      min-height: 100vh;
+      display: flex;
+      justify-content: center;
+      align-items: center;
+      padding: 20px;
+    }
+    .panel {
+      background: white;
+      border-radius: 20px;
+      padding: 40px;
+      box-shadow: 0 20px 60px rgba(0,0,0,0.3);
+      max-width: 600px;
+      width: 100%;
+      animation: slideUp 0.5s ease-out;
+    }
+    @keyframes slideUp {
+      from { opacity: 0; transform: translateY(30px); }
+      to { opacity: 1; transform: translateY(0); }
+    }
+    h1 {
+      color: #667eea;
+      margin-bottom: 10px;
+      text-align: center;
+      font-size: 28px;
+    }
+    .subtitle {
+      text-align: center;
+      color: #666;
+      margin-bottom: 30px;
+      font-size: 14px;
+    }
+    .status {
+      margin: 15px 0;
+      padding: 15px 20px;
+      border-radius: 12px;
+      display: flex;
+      align-items: center;
+      justify-content: space-between;
+      transition: all 0.3s ease;
+    }
+    .status:hover {
+      transform: translateX(-5px);
+    }
+    .status.success {
+      background: linear-gradient(135deg, #d4edda 0%, #c3e6cb 100%);
+      border-right: 4px solid #28a745;
+      color: #155724;
+    }
+    .status.error {
+      background: linear-gradient(135deg, #f8d7da 0%, #f5c6cb 100%);
+      border-right: 4px solid #dc3545;
+      color: #721c24;
+    }
+    .status-icon {
+      font-size: 24px;
+      margin-left: 10px;
+    }
+    .status-label {
+      font-weight: 600;
+    }
+    .info {
+      margin-top: 25px;
+      padding: 20px;
+      background: #f8f9fa;
+      border-radius: 12px;
+      font-size: 14px;
+      line-height: 1.8;
+    }
+    .info h3 {
+      color: #667eea;
+      margin-bottom: 12px;
+      font-size: 16px;
+    }
+    .info p {
+      color: #555;
+      margin-bottom: 10px;
+    }
+    .info ul {
+      margin-right: 20px;
+      color: #555;
+    }
+    .info ul li {
+      margin-bottom: 8px;
+    }
+    .info code {
+      background: #e9ecef;
+      padding: 2px 6px;
+      border-radius: 4px;
+      font-family: 'Courier New', monospace;
+      font-size: 13px;
+      color: #d63384;
+    }
+    .status-summary {
+      margin-top: 25px;
+      padding: 20px;
+      background: ${tokenSet && kvConnected ? 'linear-gradient(135deg, #d4edda 0%, #c3e6cb 100%)' : 'linear-gradient(135deg, #fff3cd 0%, #ffeaa7 100%)'};
+      border-radius: 12px;
+      text-align: center;
+      font-weight: 600;
+      color: ${tokenSet && kvConnected ? '#155724' : '#856404'};
+      border: 2px solid ${tokenSet && kvConnected ? '#28a745' : '#ffc107'};
+    }
+    .footer {
+      margin-top: 25px;
+      text-align: center;
+      color: #999;
+      font-size: 12px;
+    }
+    .version {
+      display: inline-block;
+      background: #667eea;
+      color: white;
+      padding: 4px 12px;
+      border-radius: 12px;
+      font-size: 11px;
+      margin-top: 10px;
+    }
+  </style>
+</head>
+<body>
+  <div class="panel">
+    <h1>🤖 پنل ربات بکاپ تلگرام</h1>
+    <p class="subtitle">Cloudflare Pages • نسخه 3.0</p>
+    
+    <div class="status ${tokenSet ? 'success' : 'error'}">
+      <span class="status-label">🔑 توکن تلگرام</span>
+      <span class="status-icon">${tokenSet ? '✅' : '❌'}</span>
+    </div>
+    
+    <div class="status ${kvConnected ? 'success' : 'error'}">
+      <span class="status-label">💾 دیتابیس KV</span>
+      <span class="status-icon">${kvConnected ? '✅' : '❌'}</span>
+    </div>
+    
+    <div class="status-summary">
+      ${tokenSet && kvConnected 
+        ? '✅ سیستم آماده و در حال اجرا' 
+        : '⚠️ نیاز به تکمیل تنظیمات'}
+    </div>
+    
+    <div class="info">
+      <h3>✨ قابلیت‌های جدید نسخه 3.0</h3>
+      <ul>
+        <li>✅ بکاپ خودکار پیام‌های قبلی هنگام افزودن کانال</li>
+        <li>✅ بکاپ از آخرین به اولین پیام</li>
+        <li>✅ نمایش پیشرفت بکاپ‌گیری</li>
+        <li>✅ پشتیبانی از انواع فایل (استیکر، انیمیشن، ...)</li>
+        <li>✅ بهبود سرعت و پایداری</li>
+      </ul>
+    </div>
+    
+    <div class="info">
+      <h3>⚙️ تنظیمات</h3>
+      <ul>
+        <li><code>TELEGRAM_BOT_TOKEN</code> در Environment Variables</li>
+        <li>KV Namespace با Binding Name = <code>DB</code></li>
+        <li><code>TELEGRAM_WEBHOOK_SECRET</code> همان <code>secret_token</code> ارسال‌شده به setWebhook</li>
+        <li><code>PUBLIC_URL</code> (اختیاری) آدرس همین پنل برای لینک‌های دانلود</li>
+        <li><code>STORAGE_CHAT_ID</code> شناسه یک گروه یا کانال خصوصی که ربات در آن ادمین است؛ پیام‌ها برای بررسی به آنجا فوروارد می‌شوند، نه خود کانال</li>
+        <li>R2 Bucket با Binding Name = <code>BACKUP_FILES</code> (اختیاری) برای نگهداری خود فایل‌ها</li>
+        <li>حالت Inline در BotFather با <code>/setinline</code> برای جستجو از هر چت</li>
+        <li>دامنه همین پنل در BotFather با <code>/setdomain</code> برای ورود به <a href="/dashboard">داشبورد</a> (<code>BOT_USERNAME</code> اختیاری)</li>
+        <li>ربات باید دسترسی "حذف پیام" داشته باشد</li>
+      </ul>
+    </div>
+    
+    <div class="footer">
+      Powered by Cloudflare Pages<br>
+      <span class="version">v3.0.0 - Auto Backup</span>
+    </div>
+  </div>
+</body>
+</html>`;
+}
+
+// Dashboard sessions last a week; login widget data is accepted for a day
+const SESSION_TTL = 7 * 24 * 60 * 60;
+const LOGIN_MAX_AGE = 24 * 60 * 60;
+const DASHBOARD_PAGE_SIZE = 25;
+
+// Messages shown after a dashboard action redirects back
+const DASHBOARD_NOTICES = {
+  backfill_started: '✅ بکاپ‌گیری پیام‌های قبلی شروع شد. پیشرفت در تلگرام ارسال می‌شود.',
+  export_started: '✅ خروجی در حال آماده‌سازی است. فایل‌ها و لینک دانلود در تلگرام ارسال می‌شوند.',
+  restore_started: '✅ بازیابی شروع شد. وضعیت در تلگرام و با /restorestatus قابل پیگیری است.',
+  restore_busy: '⚠️ یک بازیابی دیگر در جریان است.',
+  restore_empty: '❌ هیچ بکاپی با این فیلترها یافت نشد.',
+  storage_unavailable: '❌ چت ذخیره‌سازی (STORAGE_CHAT_ID) تنظیم نشده یا ربات به آن دسترسی ندارد.',
+  bad_target: '❌ کانال مقصد نامعتبر است یا ربات به آن دسترسی ندارد.',
+  bad_filters: '❌ فیلترها نامعتبر هستند.',
+  forbidden: '⛔️ دسترسی کافی برای این کار ندارید.'
+};
+
+// Escape text for HTML attributes as well as element content
+function escapeAttribute(text) {
+  return escapeHTML(text).replace(/"/g, '&quot;');
+}
+
+// Lowercase hex of a digest or signature
+function toHex(buffer) {
+  return [...new Uint8Array(buffer)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Compare strings without leaking the mismatch position through timing (also used by the webhook)
+export function safeEqual(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+// Check Telegram Login Widget data against the bot token; returns the user or null
+async function verifyTelegramLogin(token, params) {
+  const hash = params.get('hash');
+  const authDate = parseInt(params.get('auth_date'));
+  if (!hash || !params.get('id') || !authDate) return null;
+  if (Date.now() / 1000 - authDate > LOGIN_MAX_AGE) return null;
+  
+  const dataCheckString = [...params.entries()]
+    .filter(([key]) => key !== 'hash')
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(([key, value]) => `${key}=${value}`)
+    .join('\n');
+  
+  const encoder = new TextEncoder();
+  const secret = await crypto.subtle.digest('SHA-256', encoder.encode(token));
+  const key = await crypto.subtle.importKey('raw', secret, { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(dataCheckString));
+  const expected = toHex(signature);
+  
+  if (!safeEqual(expected, hash)) return null;
+  return {
+    id: Number(params.get('id')),
+    first_name: params.get('first_name') || '',
+    username: params.get('username') || null
+  };
+}
+
+// Session of the signed-in dashboard user, or null
+async function getDashboardSession(request, DB) {
+  const match = (request.headers.get('Cookie') || '').match(/(?:^|;\s*)session=([0-9a-f-]{36})/);
+  if (!match) return null;
+  
+  const data = await DB.get(`session:${match[1]}`);
+  return data ? { id: match[1], ...JSON.parse(data) } : null;
+}
+
+// Bot username for the login widget
+async function getBotUsername(env) {
+  if (env.BOT_USERNAME) return env.BOT_USERNAME.replace(/^@/, '');
+  const me = await telegramRequest(env.TELEGRAM_BOT_TOKEN, 'getMe');
+  return me.ok ? me.result.username : '';
+}
+
+// Short-lived token behind the /export/<token>.<ext> download route of a finished export task
+async function createExportToken(DB, userId, channelId, taskId) {
+  const exportToken = crypto.randomUUID();
+  await DB.put(`export_token:${exportToken}`, JSON.stringify({ user_id: userId, channel_id: channelId, task_id: taskId, created_at: Date.now() }), {
+    expirationTtl: EXPORT_LINK_TTL
+  });
+  return exportToken;
+}
+
+// Backup records a filtered page may read; narrower filters reach further back
+const BACKUPS_PAGE_SCAN_LIMIT = 1000;
+
+// One page of a channel's backups, newest first, matching filters and a search query
+// Reads chunks newest first only until the page is full; truncated is set when a filtered scan hit its limit
+export async function getBackupsPage(DB, channelId, { filters = {}, query = '' } = {}, page = 1, pageSize = DASHBOARD_PAGE_SIZE) {
+  const fromId = filters.from_id || 0;
+  const toId = filters.to_id || Infinity;
+  const contentFilters = { ...filters };
+  delete contentFilters.from_id;
+  delete contentFilters.to_id;
+  const filtered = Object.keys(contentFilters).length > 0;
+  
+  const skip = (page - 1) * pageSize;
+  const pageItems = [];
+  let matched = 0;
+  let scanned = 0;
+  let truncated = false;
+  
+  // Walk ids newest first; returns true once one match past the page is found
+  const visit = async (ids) => {
+    for (const id of ids) {
+      if (id < fromId || id > toId) continue;
       
-      if (backups.length > 0) {
-        const lastBackup = backups[backups.length - 1];
-        backupInfo += `   📅 آخرین: ${new Date(lastBackup.date * 1000).toLocaleString('fa-IR')}\n`;
+      let backup = null;
+      if (filtered) {
+        if (scanned === BACKUPS_PAGE_SCAN_LIMIT) {
+          truncated = true;
+          return true;
+        }
+        scanned++;
+        backup = await getBackupMessage(DB, channelId, id);
+        if (!backup || !matchesRestoreFilters(backup, contentFilters)) continue;
       }
       
-      backupInfo += '\n';
+      matched++;
+      if (matched > skip + pageSize) return true;
+      if (matched > skip) pageItems.push(backup || id);
     }
-    
-    backupInfo += `📊 <b>مجموع:</b> ${totalBackups} پیام\n\n`;
-    backupInfo += '💡 دستور /restore برای انتقال بکاپ';
-    
-    await sendMessage(token, chatId, backupInfo);
-  }
+    return false;
+  };
   
-  else if (text.startsWith('/trust')) {
-    const parts = text.trim().split(/\s+/);
-    
-    if (parts.length < 2) {
-      await sendMessage(token, chatId,
-        '🔍 <b>راهنمای بررسی بکاپ:</b>\n\n' +
-        '<code>/trust [کانال]</code>\n\n' +
-        'مثال: <code>/trust @mychannel</code>\n\n' +
-        '📊 نمایش 50 پیام آخر بکاپ شده'
-      );
-      return;
+  if (query) {
+    await visit(await searchChannelBackups(DB, channelId, query));
+  } else {
+    const index = await getBackupIndex(DB, channelId);
+    for (let i = index.chunks.length - 1; i >= 0; i--) {
+      const chunk = index.chunks[i];
+      if ((chunk + 1) * BACKUP_CHUNK_SIZE <= fromId || chunk * BACKUP_CHUNK_SIZE > toId) continue;
+      if (await visit((await getBackupChunk(DB, channelId, chunk)).reverse())) break;
     }
-    
-    const channelInput = parts[1];
-    const channelId = await resolveChannelId(token, channelInput);
-    
-    if (!channelId) {
-      await sendMessage(token, chatId, '❌ فرمت کانال نامعتبر است!');
-      return;
+  }
+  
+  return {
+    items: filtered ? pageItems : await getBackupsByIds(DB, channelId, pageItems),
+    has_more: matched > skip + pageSize,
+    truncated
+  };
+}
+
+// Read from/to/ids/types filter fields from a query string or form, plus the search query
+function parseFilterParams(params) {
+  const tokens = ['from', 'to', 'ids', 'types']
+    .filter(key => params.get(key))
+    .map(key => `${key}:${params.get(key)}`);
+  
+  const parsed = parseRestoreFilters(tokens);
+  return { ...parsed, query: (params.get('q') || '').trim() };
+}
+
+function getDashboardCSS() {
+  return `
+    * { margin: 0; padding: 0; box-sizing: border-box; }
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
+      min-height: 100vh;
+      padding: 20px;
+      color: #333;
     }
-    
-    const userData = await getUserData(DB, userId);
-    const channel = userData.channels.find(ch => ch.id === channelId);
-    
-    if (!channel) {
-      await sendMessage(token, chatId, 
-        '❌ این کانال در لیست شما یافت نشد!\n\n' +
-        'ابتدا با <code>/addchannel</code> اضافه کنید.'
-      );
-      return;
+    .panel {
+      background: white;
+      border-radius: 20px;
+      padding: 30px;
+      box-shadow: 0 20px 60px rgba(0,0,0,0.3);
+      max-width: 1000px;
+      margin: 0 auto;
     }
+    header { display: flex; justify-content: space-between; align-items: center; margin-bottom: 20px; gap: 10px; flex-wrap: wrap; }
+    h1 { color: #667eea; font-size: 24px; }
+    h2 { color: #555; font-size: 18px; margin: 20px 0 10px; }
+    a { color: #667eea; text-decoration: none; }
+    table { width: 100%; border-collapse: collapse; font-size: 14px; }
+    th, td { padding: 10px 8px; border-bottom: 1px solid #eee; text-align: right; vertical-align: top; }
+    th { background: #f8f9fa; color: #555; }
+    .snippet { color: #666; max-width: 420px; overflow-wrap: anywhere; }
+    .notice { background: #f0f4ff; border-right: 4px solid #667eea; padding: 12px 15px; border-radius: 8px; margin-bottom: 15px; }
+    form.inline { display: flex; gap: 8px; flex-wrap: wrap; align-items: center; margin: 10px 0; }
+    input, select, button { padding: 8px 10px; border: 1px solid #ddd; border-radius: 8px; font: inherit; }
+    button { background: #667eea; color: white; border: none; cursor: pointer; }
+    button.secondary { background: #6c757d; }
+    .actions { display: grid; grid-template-columns: repeat(auto-fit, minmax(260px, 1fr)); gap: 15px; margin-top: 10px; }
+    .card { background: #f8f9fa; border-radius: 12px; padding: 15px; }
+    .pager { display: flex; justify-content: space-between; margin-top: 15px; }
+    .muted { color: #999; font-size: 13px; }
+    .center { text-align: center; padding: 40px 0; }
+  `;
+}
+
+// Shared page frame for every dashboard view
+function renderDashboardPage(title, content, session = null) {
+  return `<!DOCTYPE html>
+<html dir="rtl" lang="fa">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>${escapeHTML(title)} - داشبورد بکاپ</title>
+  <style>${getDashboardCSS()}</style>
+</head>
+<body>
+  <div class="panel">
+    <header>
+      <h1>${escapeHTML(title)}</h1>
+      ${session ? `<div>👤 ${escapeHTML(session.first_name)} · <a href="/dashboard">کانال‌ها</a> · <a href="/dashboard/logout">خروج</a></div>` : ''}
+    </header>
+    ${content}
+  </div>
+</body>
+</html>`;
+}
+
+function renderLoginPage(botUsername) {
+  return renderDashboardPage('🔐 ورود به داشبورد', `
+    <div class="center">
+      <p style="margin-bottom: 20px;">برای مشاهده کانال‌ها و بکاپ‌ها با حساب تلگرام وارد شوید.</p>
+      ${botUsername
+        ? `<script async src="https://telegram.org/js/telegram-widget.js?22" data-telegram-login="${escapeAttribute(botUsername)}" data-size="large" data-auth-url="/dashboard/auth" data-request-access="write"></script>`
+        : '<p class="muted">نام کاربری ربات در دسترس نیست. متغیر BOT_USERNAME را تنظیم کنید.</p>'}
+      <p class="muted" style="margin-top: 20px;">دامنه این صفحه باید با <code>/setdomain</code> در BotFather ثبت شده باشد.</p>
+    </div>
+  `);
+}
+
+async function renderChannelsPage(DB, session) {
+  const userData = await getUserData(DB, session.user_id);
+  
+  if (userData.channels.length === 0) {
+    return renderDashboardPage('📋 کانال‌های شما', `
+      <div class="center">هنوز کانالی اضافه نکرده‌اید. در ربات از <code>/addchannel</code> استفاده کنید.</div>
+    `, session);
+  }
+  
+  let rows = '';
+  for (const channel of userData.channels) {
+    const index = await getBackupIndex(DB, channel.id);
+    const role = await getChannelRole(DB, channel.id, session.user_id);
+    const lastBackup = index.last_id ? await getBackupMessage(DB, channel.id, index.last_id) : null;
     
-    await sendMessage(token, chatId, '⏳ در حال دریافت بکاپ‌ها...');
-    
-    const lastBackups = await getLastBackups(DB, channelId, 50);
-    
-    if (lastBackups.length === 0) {
-      await sendMessage(token, chatId, 
-        '❌ هیچ بکاپی یافت نشد!\n\n' +
-        '📺 کانال: <b>' + channel.title + '</b>'
-      );
-      return;
-    }
+    rows += `
+      <tr>
+        <td><a href="/dashboard/channel/${encodeURIComponent(channel.id)}">${escapeHTML(channel.title)}</a>
+          ${channel.username ? `<div class="muted">@${escapeHTML(channel.username)}</div>` : ''}</td>
+        <td>${CHANNEL_ROLE_LABELS[role] || '—'}</td>
+        <td>${index.count}</td>
+        <td>${lastBackup ? new Date(lastBackup.date * 1000).toLocaleString('fa-IR') : '—'}</td>
+      </tr>`;
+  }
+  
+  return renderDashboardPage('📋 کانال‌های شما', `
+    <table>
+      <thead><tr><th>کانال</th><th>نقش</th><th>تعداد بکاپ</th><th>آخرین بکاپ</th></tr></thead>
+      <tbody>${rows}</tbody>
+    </table>
+  `, session);
+}
+
+async function renderChannelPage(DB, session, channel, role, url) {
+  const params = url.searchParams;
+  const page = Math.max(1, parseInt(params.get('page') || '1') || 1);
+  const { filters, error, query } = parseFilterParams(params);
+  const result = error ? { items: [], has_more: false } : await getBackupsPage(DB, channel.id, { filters, query }, page);
+  const notice = DASHBOARD_NOTICES[params.get('notice')];
+  
+  const pageLink = (target) => {
+    const next = new URLSearchParams(params);
+    next.delete('notice');
+    next.set('page', target);
+    return `?${next.toString()}`;
+  };
+  
+  const rows = result.items.map(backup => {
+    const type = getBackupType(backup);
+    const snippet = (backup.text || backup.caption || backup.poll?.question || backup.venue?.title || '').slice(0, 160);
+    return `
+      <tr>
+        <td><a href="${escapeAttribute(buildPostLink(channel.id, channel.username, backup.message_id))}" target="_blank" rel="noopener">#${backup.message_id}</a></td>
+        <td>${backup.date ? new Date(backup.date * 1000).toLocaleString('fa-IR') : '—'}</td>
+        <td>${BACKUP_TYPE_LABELS[type] || (backup.unsupported_type ? '🚫 ' + escapeHTML(backup.unsupported_type) : '—')}</td>
+        <td class="snippet">${escapeHTML(snippet)}</td>
+        <td>${backup.versions?.length ? backup.versions.length + ' ✏️' : ''}</td>
+      </tr>`;
+  }).join('');
+  
+  const typeOptions = BACKUP_TYPES.map(type =>
+    `<option value="${type}"${params.get('types') === type ? ' selected' : ''}>${BACKUP_TYPE_LABELS[type]}</option>`
+  ).join('');
+  
+  const filterFields = ['from', 'to', 'types', 'q']
+    .filter(field => params.get(field))
+    .map(field => `<input type="hidden" name="${field}" value="${escapeAttribute(params.get(field))}">`)
+    .join('');
+  
+  const channelPath = `/dashboard/channel/${encodeURIComponent(channel.id)}`;
+  const canWrite = hasChannelRole(role, 'restorer');
+  
+  return renderDashboardPage('📺 ' + channel.title, `
+    ${notice ? `<div class="notice">${notice}</div>` : ''}
+    ${error ? `<div class="notice">❌ ${escapeHTML(error)}</div>` : ''}
     
-    await sendMessage(token, chatId, 
-      '✅ <b>بکاپ‌های کانال:</b>\n\n' +
-      '📺 <b>' + channel.title + '</b>\n' +
-      '📊 تعداد: ' + lastBackups.length + ' پیام\n\n' +
-      '⏰ در حال ارسال...'
-    );
+    <form class="inline" method="GET" action="${channelPath}">
+      <input type="text" name="q" placeholder="🔍 جستجو" value="${escapeAttribute(query)}">
+      <label>از <input type="date" name="from" value="${escapeAttribute(params.get('from') || '')}"></label>
+      <label>تا <input type="date" name="to" value="${escapeAttribute(params.get('to') || '')}"></label>
+      <select name="types"><option value="">همه انواع</option>${typeOptions}</select>
+      <button type="submit">اعمال فیلتر</button>
+      <a href="${channelPath}">پاک کردن</a>
+    </form>
     
-    let sentCount = 0;
+    <table>
+      <thead><tr><th>پیام</th><th>تاریخ</th><th>نوع</th><th>متن</th><th>ویرایش</th></tr></thead>
+      <tbody>${rows || '<tr><td colspan="5" class="center">بکاپی یافت نشد.</td></tr>'}</tbody>
+    </table>
     
-    for (const backup of lastBackups) {
-      try {
-        const dateStr = new Date(backup.date * 1000).toLocaleString('fa-IR');
-        const prefix = `📄 #${backup.message_id}\n📅 ${dateStr}\n\n`;
-        
-        if (backup.text) {
-          await sendMessage(token, chatId, prefix + backup.text);
-          sentCount++;
-        } else if (backup.photo) {
-          await telegramRequest(token, 'sendPhoto', {
-            chat_id: chatId,
-            photo: backup.photo,
-            caption: `📸 #${backup.message_id}\n${backup.caption || ''}`
-          });
-          sentCount++;
-        } else if (backup.video) {
-          await telegramRequest(token, 'sendVideo', {
-            chat_id: chatId,
-            video: backup.video,
-            caption: `🎥 #${backup.message_id}\n${backup.caption || ''}`
-          });
-          sentCount++;
-        } else if (backup.document) {
-          await telegramRequest(token, 'sendDocument', {
-            chat_id: chatId,
-            document: backup.document,
-            caption: `📎 #${backup.message_id}\n${backup.caption || ''}`
-          });
-          sentCount++;
-        } else if (backup.audio) {
-          await telegramRequest(token, 'sendAudio', {
-            chat_id: chatId,
-            audio: backup.audio,
-            caption: `🎵 #${backup.message_id}\n${backup.caption || ''}`
-          });
-          sentCount++;
-        }
-        
-        await new Promise(resolve => setTimeout(resolve, 200));
-        
-      } catch (err) {
-        console.error('Error sending backup:', err);
-      }
-    }
+    <div class="pager">
+      <span>${page > 1 ? `<a href="${escapeAttribute(pageLink(page - 1))}">→ صفحه قبل</a>` : ''}</span>
+      <span class="muted">صفحه ${page}</span>
+      <span>${result.has_more ? `<a href="${escapeAttribute(pageLink(page + 1))}">صفحه بعد ←</a>` : ''}</span>
+    </div>
+    ${result.truncated ? `<div class="notice">⚠️ فقط ${BACKUPS_PAGE_SCAN_LIMIT} بکاپ اخیر بررسی شد؛ برای نتایج قدیمی‌تر فیلترها را محدودتر کنید.</div>` : ''}
     
-    await sendMessage(token, chatId, 
-      `✅ <b>اتمام ارسال</b>\n\n` +
-      `📊 ارسال شده: ${sentCount} پیام`
-    );
+    <h2>⚙️ عملیات</h2>
+    <div class="actions">
+      <div class="card">
+        <b>📦 خروجی</b>
+        <form class="inline" method="POST" action="${channelPath}/export">
+          <select name="format"><option value="json">JSON</option><option value="csv">JSON + CSV</option></select>
+          <button type="submit">ارسال به تلگرام</button>
+        </form>
+      </div>
+      ${canWrite ? `
+      <div class="card">
+        <b>🔄 بکاپ پیام‌های قبلی</b>
+        <form class="inline" method="POST" action="${channelPath}/backfill">
+          <button type="submit">شروع</button>
+        </form>
+      </div>
+      <div class="card">
+        <b>♻️ بازیابی${filterFields ? ' (با فیلترهای فعلی)' : ''}</b>
+        <form class="inline" method="POST" action="${channelPath}/restore">
+          ${filterFields}
+          <input type="text" name="target" placeholder="@target یا -100..." required>
+          <select name="version">
+            <option value="latest">${RESTORE_VERSION_LABELS.latest}</option>
+            <option value="original">${RESTORE_VERSION_LABELS.original}</option>
+          </select>
+          <button type="submit">شروع بازیابی</button>
+        </form>
+      </div>` : ''}
+    </div>
+  `, session);
+}
+
+// Start a restore requested from the dashboard or the API; returns { job } or { error }
+async function startWebRestore(env, ctx, userId, channel, { target, version, filters = {} }) {
+  const token = env.TELEGRAM_BOT_TOKEN;
+  const DB = env.DB;
+  
+  const targetId = target ? await resolveChannelId(token, String(target).trim()) : null;
+  const targetChat = targetId ? await telegramRequest(token, 'getChat', { chat_id: targetId }) : null;
+  if (!targetChat?.ok) return { error: 'bad_target' };
+  
+  const refusal = await checkChannelPermission(token, channel.id, userId, channel.title) ||
+    await checkChannelPermission(token, targetId, userId, targetChat.result.title, true);
+  if (refusal) return { error: 'forbidden' };
+  
+  version = RESTORE_VERSION_LABELS[version] ? version : 'latest';
+  const selection = await countFilteredBackups(DB, channel.id, filters, version);
+  if (selection.count === 0 && selection.exact) return { error: 'restore_empty' };
+  const backupCount = selection.count;
+  
+  const job = await startRestore(token, DB, ctx, {
+    userId,
+    chatId: userId,
+    sourceId: channel.id,
+    targetId,
+    sourceTitle: channel.title,
+    targetTitle: targetChat.result.title,
+    sourceUsername: channel.username,
+    targetUsername: targetChat.result.username,
+    backupCount,
+    version,
+    filters
+  }, getBlobStore(env));
+  return job ? { job } : { error: 'restore_busy' };
+}
+
+// Run a dashboard action for a channel and redirect back with a notice
+async function handleDashboardAction(env, ctx, session, channel, role, action, form, channelPath, baseUrl) {
+  const token = env.TELEGRAM_BOT_TOKEN;
+  const DB = env.DB;
+  const userId = session.user_id;
+  const redirect = (location) => new Response(null, { status: 303, headers: { Location: location } });
+  const back = (notice) => redirect(`${channelPath}?notice=${notice}`);
+  
+  // The files and links arrive in Telegram once the export task finishes
+  if (action === 'export') {
+    await startChannelExport(token, DB, ctx, userId, channel, {
+      chatId: userId,
+      csv: form.get('format') === 'csv',
+      baseUrl
+    });
+    return back('export_started');
   }
   
-  else if (text.startsWith('/manualbackup')) {
-    const parts = text.trim().split(/\s+/);
-    
-    if (parts.length < 2) {
-      await sendMessage(token, chatId,
-        '📥 <b>راهنمای بکاپ دستی:</b>\n\n' +
-        '<code>/manualbackup [کانال]</code>\n\n' +
-        'مثال: <code>/manualbackup @mychannel</code>\n\n' +
-        '💡 در صورت شکست بکاپ خودکار، پیام‌ها را از کانال به ربات فوروارد کنید.\n' +
-        'ربات به صورت خودکار آن‌ها را ذخیره می‌کند.'
-      );
-      return;
-    }
+  if (!hasChannelRole(role, 'restorer')) return back('forbidden');
+  
+  if (action === 'backfill') {
+    const storageChat = await getStorageChat(env);
+    if (!storageChat.ok) return back('storage_unavailable');
     
-    const channelInput = parts[1];
-    const channelId = await resolveChannelId(token, channelInput);
+    ctx.waitUntil(backupExistingMessages(token, DB, channel.id, userId, storageChat.chat_id));
+    return back('backfill_started');
+  }
+  
+  if (action === 'restore') {
+    const { filters, error } = parseFilterParams(form);
+    if (error) return back('bad_filters');
+    if (form.get('q')) filters.keyword = form.get('q').trim();
     
-    if (!channelId) {
-      await sendMessage(token, chatId, '❌ فرمت کانال نامعتبر است!');
-      return;
+    const result = await startWebRestore(env, ctx, userId, channel, {
+      target: form.get('target'),
+      version: form.get('version'),
+      filters
+    });
+    return back(result.error || 'restore_started');
+  }
+  
+  return new Response('Not Found', { status: 404 });
+}
+
+// Routes under /dashboard
+async function handleDashboard(request, env, ctx, url) {
+  const DB = env.DB;
+  const html = (body, status = 200, headers = {}) => new Response(body, {
+    status,
+    headers: { 'Content-Type': 'text/html; charset=utf-8', ...headers }
+  });
+  
+  if (url.pathname === '/dashboard/auth') {
+    const user = await verifyTelegramLogin(env.TELEGRAM_BOT_TOKEN, url.searchParams);
+    if (!user) {
+      return html(renderDashboardPage('❌ ورود ناموفق', '<div class="center">اطلاعات ورود نامعتبر یا منقضی است. <a href="/dashboard">دوباره تلاش کنید</a>.</div>'), 403);
     }
     
-    const userData = await getUserData(DB, userId);
-    const channel = userData.channels.find(ch => ch.id === channelId);
+    const sessionId = crypto.randomUUID();
+    await DB.put(`session:${sessionId}`, JSON.stringify({
+      user_id: user.id,
+      first_name: user.first_name,
+      username: user.username,
+      created_at: Date.now()
+    }), { expirationTtl: SESSION_TTL });
     
-    if (!channel) {
-      await sendMessage(token, chatId, 
-        '❌ این کانال در لیست شما یافت نشد!\n\n' +
-        'ابتدا با <code>/addchannel</code> اضافه کنید.'
-      );
-      return;
+    return new Response(null, {
+      status: 303,
+      headers: {
+        Location: '/dashboard',
+        'Set-Cookie': `session=${sessionId}; Path=/; Max-Age=${SESSION_TTL}; HttpOnly; Secure; SameSite=Lax`
+      }
+    });
+  }
+  
+  const session = await getDashboardSession(request, DB);
+  
+  if (url.pathname === '/dashboard/logout') {
+    if (session) await DB.delete(`session:${session.id}`);
+    return new Response(null, {
+      status: 303,
+      headers: { Location: '/dashboard', 'Set-Cookie': 'session=; Path=/; Max-Age=0; HttpOnly; Secure; SameSite=Lax' }
+    });
+  }
+  
+  if (!session) {
+    return html(renderLoginPage(await getBotUsername(env)));
+  }
+  
+  if (url.pathname === '/dashboard' || url.pathname === '/dashboard/') {
+    return html(await renderChannelsPage(DB, session));
+  }
+  
+  const channelMatch = url.pathname.match(/^\/dashboard\/channel\/(-?\d+)(?:\/(export|backfill|restore))?$/);
+  if (!channelMatch) {
+    return html(renderDashboardPage('404', '<div class="center">صفحه یافت نشد.</div>', session), 404);
+  }
+  
+  const [, channelId, action] = channelMatch;
+  const userData = await getUserData(DB, session.user_id);
+  const channel = userData.channels.find(ch => ch.id === channelId);
+  const role = channel ? await getChannelRole(DB, channelId, session.user_id) : null;
+  
+  if (!channel || !role) {
+    return html(renderDashboardPage('⛔️ دسترسی ندارید', '<div class="center">این کانال در لیست شما نیست.</div>', session), 403);
+  }
+  
+  if (!action) {
+    return html(await renderChannelPage(DB, session, channel, role, url));
+  }
+  
+  // Actions only come from our own forms
+  const origin = request.headers.get('Origin');
+  if (request.method !== 'POST' || (origin && origin !== url.origin)) {
+    return new Response('Forbidden', { status: 403 });
+  }
+  
+  const form = await request.formData();
+  const baseUrl = env.PUBLIC_URL ? env.PUBLIC_URL.replace(/\/$/, '') : url.origin;
+  return handleDashboardAction(env, ctx, session, channel, role, action, form, `/dashboard/channel/${channelId}`, baseUrl);
+}
+
+// API keys are shown once; only their SHA-256 is stored
+const API_KEY_PREFIX = 'tgb_';
+const API_MAX_PAGE_SIZE = 100;
+
+// Error codes returned by the API with their HTTP status
+const API_ERRORS = {
+  unauthorized: 401,
+  forbidden: 403,
+  not_found: 404,
+  method_not_allowed: 405,
+  invalid_request: 400,
+  conflict: 409
+};
+
+// English messages for filter errors, by the reason parseRestoreFilters gives
+const FILTER_API_ERRORS = {
+  invalid_date: 'Dates must be valid YYYY-MM-DD days',
+  invalid_id_range: 'ids must be an id or a non-empty range like 100-200 with start <= end',
+  invalid_type: 'types must be a comma-separated list of: ' + BACKUP_TYPES.join(', '),
+  empty_keyword: 'The search keyword is empty',
+  unknown_filter: 'Unknown filter; use from, to, ids, types or q'
+};
+
+// API error for filters that failed to parse
+function apiFilterError({ reason, token }) {
+  return apiError('invalid_request', `${FILTER_API_ERRORS[reason]} (got ${token})`);
+}
+
+// Map dashboard restore errors onto API errors
+const RESTORE_API_ERRORS = {
+  bad_target: ['invalid_request', 'Target channel is invalid or the bot cannot access it'],
+  forbidden: ['forbidden', 'You or the bot lack admin rights on the source or target channel'],
+  restore_empty: ['invalid_request', 'No backups match the given filters'],
+  restore_busy: ['conflict', 'Another restore is already running']
+};
+
+async function hashApiKey(apiKey) {
+  return toHex(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(apiKey)));
+}
+
+// Issue a new API key for a user, replacing any previous one
+async function issueApiKey(DB, userId) {
+  await revokeApiKey(DB, userId);
+  
+  const bytes = crypto.getRandomValues(new Uint8Array(24));
+  const apiKey = API_KEY_PREFIX + toHex(bytes);
+  const keyHash = await hashApiKey(apiKey);
+  
+  await DB.put(`apikey:${keyHash}`, JSON.stringify({ user_id: userId, created_at: Date.now() }));
+  await DB.put(`apikey_user:${userId}`, JSON.stringify({ hash: keyHash, hint: apiKey.slice(-4), created_at: Date.now() }));
+  return apiKey;
+}
+
+// Revoke a user's API key; returns whether one existed
+async function revokeApiKey(DB, userId) {
+  const data = await DB.get(`apikey_user:${userId}`);
+  if (!data) return false;
+  
+  await DB.delete(`apikey:${JSON.parse(data).hash}`);
+  await DB.delete(`apikey_user:${userId}`);
+  return true;
+}
+
+// User id behind the request's API key, or null
+async function authenticateApiRequest(request, DB) {
+  const header = request.headers.get('Authorization') || '';
+  const apiKey = header.match(/^Bearer\s+(\S+)$/i)?.[1] || request.headers.get('X-API-Key');
+  if (!apiKey || !apiKey.startsWith(API_KEY_PREFIX)) return null;
+  
+  const data = await DB.get(`apikey:${await hashApiKey(apiKey)}`);
+  return data ? JSON.parse(data).user_id : null;
+}
+
+function apiResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json; charset=utf-8' }
+  });
+}
+
+function apiError(code, message) {
+  return apiResponse({ error: { code, message } }, API_ERRORS[code] || 500);
+}
+
+// Public view of a restore job
+function formatApiRestoreJob(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    source_id: job.source_id,
+    target_id: job.target_id,
+    version: job.version,
+    filters: job.filters,
+    total: job.total,
+    restored: job.restored,
+    skipped: job.skipped,
+    failed: job.failed.length,
+    unsupported: job.unsupported.length,
+    created_at: job.created_at
+  };
+}
+
+// Public view of an export task; the links appear once it is ready
+function formatApiExport(task, baseUrl) {
+  const ready = task.status === 'completed';
+  return {
+    id: task.id,
+    status: ready ? 'ready' : task.status,
+    channel_id: task.channel.id,
+    count: task.count,
+    urls: ready ? {
+      json: `${baseUrl}/export/${task.export_token}.json`,
+      csv: `${baseUrl}/export/${task.export_token}.csv`
+    } : null,
+    expires_at: ready ? task.updated_at + EXPORT_LINK_TTL * 1000 : null,
+    created_at: task.created_at
+  };
+}
+
+// Routes under /api/v1
+async function handleApi(request, env, ctx, url) {
+  const DB = env.DB;
+  const userId = await authenticateApiRequest(request, DB);
+  if (!userId) {
+    return apiError('unauthorized', 'Missing or invalid API key');
+  }
+  
+  const path = url.pathname.replace(/^\/api\/v1/, '').replace(/\/$/, '');
+  const method = request.method;
+  const userData = await getUserData(DB, userId);
+  
+  if (path === '/channels') {
+    if (method !== 'GET') return apiError('method_not_allowed', 'Use GET');
+    
+    const channels = [];
+    for (const channel of userData.channels) {
+      const index = await getBackupIndex(DB, channel.id);
+      channels.push({
+        id: channel.id,
+        title: channel.title,
+        username: channel.username || null,
+        role: await getChannelRole(DB, channel.id, userId),
+        backup_count: index.count,
+        last_backup_id: index.last_id || null
+      });
     }
+    return apiResponse({ channels });
+  }
+  
+  const restoreMatch = path.match(/^\/restores\/([0-9a-f-]{36})$/);
+  if (restoreMatch) {
+    if (method !== 'GET') return apiError('method_not_allowed', 'Use GET');
     
-    // Set manual backup mode
-    await DB.put(`manual_backup:${userId}`, channelId);
+    const job = await getRestoreJob(DB, restoreMatch[1]);
+    if (!job || String(job.user_id) !== String(userId)) return apiError('not_found', 'Restore job not found');
+    return apiResponse({ restore: formatApiRestoreJob(job) });
+  }
+  
+  const baseUrl = env.PUBLIC_URL ? env.PUBLIC_URL.replace(/\/$/, '') : url.origin;
+  
+  const exportMatch = path.match(/^\/exports\/([0-9a-f-]{36})$/);
+  if (exportMatch) {
+    if (method !== 'GET') return apiError('method_not_allowed', 'Use GET');
     
-    await sendMessage(token, chatId,
-      '✅ <b>حالت بکاپ دستی فعال شد!</b>\n\n' +
-      '📺 کانال: <b>' + channel.title + '</b>\n\n' +
-      '📝 <b>راهنما:</b>\n' +
-      '1️⃣ به کانال خود بروید\n' +
-      '2️⃣ پیام‌های مورد نظر را انتخاب کنید\n' +
-      '3️⃣ آن‌ها را به این ربات فوروارد کنید\n\n' +
-      '💾 ربات به صورت خودکار پیام‌های فوروارد شده را بکاپ می‌گیرد.\n\n' +
-      '⏹ برای توقف: <code>/stopmanual</code>'
-    );
+    const task = await getTask(DB, exportMatch[1]);
+    if (task?.kind !== 'export' || String(task.user_id) !== String(userId)) {
+      return apiError('not_found', 'Export not found or expired');
+    }
+    return apiResponse({ export: formatApiExport(task, baseUrl) });
   }
   
-  else if (text.startsWith('/stopmanual')) {
-    await DB.delete(`manual_backup:${userId}`);
-    await sendMessage(token, chatId, 
-      '⏹ <b>حالت بکاپ دستی غیرفعال شد.</b>\n\n' +
-      'پیام‌های فوروارد شده دیگر ذخیره نمی‌شوند.'
-    );
+  const channelMatch = path.match(/^\/channels\/(-?\d+)(\/backups(?:\/(\d+))?|\/restores|\/exports)?$/);
+  if (!channelMatch) {
+    return apiError('not_found', 'Unknown endpoint');
   }
   
-  else if (text.startsWith('/restore')) {
-    const parts = text.trim().split(/\s+/);
+  const [, channelId, resource, messageId] = channelMatch;
+  const channel = userData.channels.find(ch => ch.id === channelId);
+  const role = channel ? await getChannelRole(DB, channelId, userId) : null;
+  if (!channel || !role) {
+    return apiError('not_found', 'Channel not found');
+  }
+  
+  if (!resource) {
+    if (method !== 'GET') return apiError('method_not_allowed', 'Use GET');
     
-    // روش سریع: /restore @source @target
-    if (parts.length === 3) {
-      const sourceInput = parts[1];
-      const targetInput = parts[2];
-      
-      const sourceId = await resolveChannelId(token, sourceInput);
-      const targetId = await resolveChannelId(token, targetInput);
-      
-      if (!sourceId || !targetId) {
-        await sendMessage(token, chatId, 
-          '❌ <b>فرمت نامعتبر!</b>\n\n' +
-          '<b>استفاده صحیح:</b>\n' +
-          '<code>/restore @sourcechannel @targetchannel</code>\n\n' +
-          'یا برای انتخاب با دکمه:\n' +
-          '<code>/restore</code>'
-        );
-        return;
-      }
-      
-      const userData = await getUserData(DB, userId);
-      const sourceChannel = userData.channels.find(ch => ch.id === sourceId);
-      
-      if (!sourceChannel) {
-        await sendMessage(token, chatId, 
-          '❌ کانال مبدا در لیست شما یافت نشد!\n\n' +
-          'ابتدا با <code>/addchannel</code> اضافه کنید.'
-        );
-        return;
-      }
-      
-      try {
-        const targetChat = await telegramRequest(token, 'getChat', { chat_id: targetId });
-        
-        if (!targetChat.ok) {
-          await sendMessage(token, chatId, 
-            '❌ خطا در دسترسی به کانال مقصد!\n\n' +
-            'مطمئن شوید ربات در کانال مقصد ادمین است.'
-          );
-          return;
-        }
-        
-        const backupCount = (await DB.list({ prefix: `backup:${sourceId}:` })).keys.length;
-        
-        if (backupCount === 0) {
-          await sendMessage(token, chatId, '❌ هیچ بکاپی یافت نشد!');
-          return;
-        }
-        
-        const initialRestoreMsg = await sendMessage(token, chatId, 
-          '🔄 <b>شروع بازیابی سریع...</b>\n\n' +
-          '📺 مبدا: <b>' + sourceChannel.title + '</b>\n' +
-          '📺 مقصد: <b>' + targetChat.result.title + '</b>\n' +
-          '💾 تعداد کل: ' + backupCount + ' پیام\n\n' +
-          '📊 پیشرفت: 0%\n' +
-          '━░░░░░░░░░░░░░░░░░░░━\n\n' +
-          '⏳ در حال انتقال...'
-        );
-        
-        let restoreStatusMessageId = null;
-        if (initialRestoreMsg.ok) {
-          restoreStatusMessageId = initialRestoreMsg.result.message_id;
-        }
-        
-        // Start background restore
-        context.waitUntil(
-          (async () => {
-            const restored = await restoreBackupWithProgress(
-              token, 
-              DB, 
-              sourceId, 
-              targetId, 
-              userId, 
-              restoreStatusMessageId, 
-              backupCount,
-              targetChat.result.title
-            );
-            
-            if (restoreStatusMessageId) {
-              await telegramRequest(token, 'editMessageText', {
-                chat_id: userId,
-                message_id: restoreStatusMessageId,
-                text: 
-                  '✅ <b>بازیابی تکمیل شد!</b>\n\n' +
-                  '📊 منتقل شده: ' + restored + ' از ' + backupCount + ' پیام\n' +
-                  '📺 مقصد: <b>' + targetChat.result.title + '</b>\n\n' +
-                  '━████████████████████━ 100%\n\n' +
-                  '🎉 تمام بکاپ‌ها با موفقیت منتقل شدند!',
-                parse_mode: 'HTML'
-              });
-            }
-          })()
-        );
-        
-      } catch (err) {
-        console.error('Quick restore error:', err);
-        await sendMessage(token, chatId, 
-          '❌ خطا در بازیابی!\n\n' +
-          'خطا: ' + err.message
-        );
+    const index = await getBackupIndex(DB, channelId);
+    return apiResponse({
+      channel: {
+        id: channel.id,
+        title: channel.title,
+        username: channel.username || null,
+        role,
+        backup_count: index.count,
+        last_backup_id: index.last_id || null
       }
-      
-      return;
-    }
+    });
+  }
+  
+  if (messageId) {
+    if (method !== 'GET') return apiError('method_not_allowed', 'Use GET');
     
-    // روش معمولی با دکمه
-    const userData = await getUserData(DB, userId);
+    const backup = await getBackupMessage(DB, channelId, parseInt(messageId));
+    if (!backup) return apiError('not_found', 'Backup not found');
+    return apiResponse({ backup });
+  }
+  
+  if (resource === '/backups') {
+    if (method !== 'GET') return apiError('method_not_allowed', 'Use GET');
     
-    if (userData.channels.length === 0) {
-      await sendMessage(token, chatId, '❌ شما هنوز کانالی اضافه نکرده‌اید.');
-      return;
+    const page = parseInt(url.searchParams.get('page') || '1');
+    const limit = parseInt(url.searchParams.get('limit') || String(DASHBOARD_PAGE_SIZE));
+    if (!(page >= 1) || !(limit >= 1 && limit <= API_MAX_PAGE_SIZE)) {
+      return apiError('invalid_request', `page must be >= 1 and limit between 1 and ${API_MAX_PAGE_SIZE}`);
     }
     
-    // Create inline keyboard with channels
-    const keyboard = {
-      inline_keyboard: userData.channels.map(ch => [{
-        text: `📺 ${ch.title}`,
-        callback_data: `restore_source:${ch.id}`
-      }])
-    };
+    const parsed = parseFilterParams(url.searchParams);
+    if (parsed.error) return apiFilterError(parsed);
+    const { filters, query } = parsed;
     
-    await sendMessage(token, chatId, 
-      '📤 <b>انتقال بکاپ به کانال جدید</b>\n\n' +
-      '🔹 <b>روش 1: انتخاب با دکمه (آسان)</b>\n' +
-      'کانال مبدا را از دکمه‌های زیر انتخاب کنید:\n\n' +
-      '━━━━━━━━━━━━━━━━\n\n' +
-      '⚡️ <b>روش 2: دستور سریع</b>\n' +
-      'برای انجام سریع‌تر:\n' +
-      '<code>/restore @sourcechannel @targetchannel</code>\n\n' +
-      '<b>مثال:</b>\n' +
-      '<code>/restore @oldchannel @newchannel</code>\n' +
-      '<code>/restore -1001234567890 @newchannel</code>',
-      { reply_markup: keyboard }
-    );
+    const result = await getBackupsPage(DB, channelId, { filters, query }, page, limit);
+    return apiResponse({ backups: result.items, page, limit, has_more: result.has_more, truncated: result.truncated });
   }
   
-  else if (message.forward_from_chat) {
-    // Handle forwarded messages for manual backup
-    const manualBackupChannel = await DB.get(`manual_backup:${userId}`);
-    
-    if (manualBackupChannel && message.forward_from_chat.id.toString() === manualBackupChannel) {
-      const forwardedMsg = message;
-      const channelId = message.forward_from_chat.id;
-      const originalMessageId = message.forward_from_message_id;
-      
-      // Check if already backed up
-      if (await isMessageBackedUp(DB, channelId, originalMessageId)) {
-        await sendMessage(token, chatId, '⚠️ این پیام قبلا بکاپ گرفته شده است.');
-        return;
-      }
-      
-      // Save manual backup
-      const backupData = {
-        message_id: originalMessageId,
-        date: forwardedMsg.forward_date || Date.now(),
-        text: forwardedMsg.text,
-        caption: forwardedMsg.caption,
-        photo: forwardedMsg.photo ? forwardedMsg.photo[forwardedMsg.photo.length - 1].file_id : null,
-        video: forwardedMsg.video ? forwardedMsg.video.file_id : null,
-        document: forwardedMsg.document ? forwardedMsg.document.file_id : null,
-        audio: forwardedMsg.audio ? forwardedMsg.audio.file_id : null,
-        voice: forwardedMsg.voice ? forwardedMsg.voice.file_id : null,
-        backed_up: true,
-        manual_backup: true
-      };
-      
-      await saveBackupMessage(DB, channelId, originalMessageId, backupData);
-      
-      await sendMessage(token, chatId, 
-        '✅ بکاپ شد!\n\n' +
-        '📄 پیام #' + originalMessageId
-      );
-    }
+  // Exports and restores are started with POST
+  if (method !== 'POST') return apiError('method_not_allowed', 'Use POST');
+  
+  // Poll GET /exports/{id} until the status is ready
+  if (resource === '/exports') {
+    const task = await startChannelExport(env.TELEGRAM_BOT_TOKEN, DB, ctx, userId, channel);
+    return apiResponse({ export: formatApiExport(task, baseUrl) }, 202);
   }
   
-  else if (text.startsWith('/notifyoff')) {
-    await DB.put(`notify:${userId}`, 'off');
-    await sendMessage(token, chatId,
-      '🔕 <b>اطلاع‌رسانی غیرفعال شد</b>\n\n' +
-      'دیگر برای بکاپ‌های جدید پیام دریافت نمی‌کنید.\n\n' +
-      'برای فعال‌سازی: /notifyon'
-    );
+  if (!hasChannelRole(role, 'restorer')) {
+    return apiError('forbidden', 'Restoring needs the restorer role on this channel');
   }
   
-  else if (text.startsWith('/notifyon')) {
-    await DB.put(`notify:${userId}`, 'on');
-    await sendMessage(token, chatId,
-      '🔔 <b>اطلاع‌رسانی فعال شد</b>\n\n' +
-      'از این پس برای هر بکاپ جدید پیام دریافت می‌کنید.\n\n' +
-      'برای غیرفعال‌سازی: /notifyoff'
-    );
+  let body;
+  try {
+    body = await request.json();
+  } catch (err) {
+    body = null;
+  }
+  if (!body || typeof body !== 'object') {
+    return apiError('invalid_request', 'Body must be a JSON object');
   }
   
-  else if (text.startsWith('/checkbackup')) {
-    await sendMessage(token, chatId, '🔍 در حال بررسی پیام‌های جدید...');
-    
-    context.waitUntil(
-      (async () => {
-        await periodicBackupCheck(DB, token);
-      })()
-    );
-    
-    await sendMessage(token, chatId,
-      '✅ بررسی شروع شد!\n\n' +
-      'در صورت یافتن پیام جدید، به شما اطلاع داده می‌شود.'
-    );
+  const filterParams = new URLSearchParams();
+  for (const [key, value] of Object.entries(body.filters || {})) {
+    filterParams.set(key, Array.isArray(value) ? value.join(',') : String(value));
   }
+  const parsed = parseFilterParams(filterParams);
+  if (parsed.error) return apiFilterError(parsed);
+  const { filters, query } = parsed;
+  if (query) filters.keyword = query;
   
-  else if (text.startsWith('/help')) {
-    await sendMessage(token, chatId,
-      '📖 <b>راهنمای کامل</b>\n\n' +
-      '━━━━━━━━━━━━━━━━\n\n' +
-      '<b>🚀 شروع:</b>\n' +
-      '1️⃣ ربات را به کانال اضافه کنید\n' +
-      '2️⃣ ربات را ادمین کنید (دسترسی حذف پیام)\n' +
-      '3️⃣ دستور: <code>/addchannel @channel</code>\n\n' +
-      '<b>📋 دستورات اصلی:</b>\n\n' +
-      '<b>/addchannel [کانال]</b>\n' +
-      '↳ افزودن کانال + بکاپ خودکار\n\n' +
-      '<b>/manualbackup [کانال]</b>\n' +
-      '↳ بکاپ دستی با فوروارد پیام‌ها\n\n' +
-      '<b>/channels</b>\n' +
-      '↳ لیست کانال‌ها و آمار\n\n' +
-      '<b>/backup</b>\n' +
-      '↳ مشاهده تعداد بکاپ‌ها\n\n' +
-      '<b>/trust [کانال]</b>\n' +
-      '↳ نمایش 50 پیام آخر\n\n' +
-      '<b>/restore</b>\n' +
-      '↳ انتقال بکاپ با دکمه (مرحله‌ای)\n\n' +
-      '<b>/removechannel [کانال]</b>\n' +
-      '↳ حذف کانال از لیست\n\n' +
-      '<b>🔔 دستورات جدید:</b>\n\n' +
-      '<b>/notifyoff</b>\n' +
-      '↳ غیرفعال کردن اطلاع‌رسانی بکاپ\n\n' +
-      '<b>/notifyon</b>\n' +
-      '↳ فعال کردن اطلاع‌رسانی بکاپ\n\n' +
-      '<b>/checkbackup</b>\n' +
-      '↳ بررسی دستی پیام‌های جدید\n\n' +
-      '━━━━━━━━━━━━━━━━\n\n' +
-      '<b>✨ ویژگی‌ها:</b>\n' +
-      '✅ بکاپ خودکار پیام‌های جدید\n' +
-      '✅ بکاپ پیام‌های قبلی هنگام افزودن\n' +
-      '✅ بکاپ دستی با فوروارد\n' +
-      '✅ انتقال آسان با دکمه شیشه‌ای\n' +
-      '✅ متن، عکس، ویدیو، فایل، صوت\n' +
-      '✅ فایل‌های تا 25MB\n' +
-      '✅ مدیریت چند کانال\n' +
-      '✅ حفظ ترتیب در بازیابی\n\n' +
-      '<b>📥 بکاپ دستی:</b>\n' +
-      '1️⃣ <code>/manualbackup @channel</code>\n' +
-      '2️⃣ پیام‌ها را از کانال فوروارد کنید\n' +
-      '3️⃣ <code>/stopmanual</code> برای پایان\n\n' +
-      '<b>⚠️ نکات:</b>\n' +
-      '• ربات باید ادمین باشد\n' +
-      '• دسترسی "حذف پیام" ضروری است\n' +
-      '• فایل‌های بالای 25MB بکاپ نمی‌شوند'
-    );
+  const result = await startWebRestore(env, ctx, userId, channel, {
+    target: body.target,
+    version: body.version,
+    filters
+  });
+  if (result.error) {
+    return apiError(...RESTORE_API_ERRORS[result.error]);
+  }
+  return apiResponse({ restore: formatApiRestoreJob(result.job) }, 202);
+}
+
+// Public archives are paged like the dashboard
+const ARCHIVE_PAGE_SIZE = 20;
+const ARCHIVE_SLUG_PATTERN = /^[a-z0-9][a-z0-9_-]{2,63}$/;
+
+// Content types for files served without a stored blob
+const ARCHIVE_MEDIA_TYPES = {
+  photo: 'image/jpeg',
+  video: 'video/mp4',
+  animation: 'video/mp4',
+  video_note: 'video/mp4',
+  voice: 'audio/ogg',
+  audio: 'audio/mpeg',
+  sticker: 'image/webp',
+  document: 'application/octet-stream'
+};
+
+// HTML tags for Telegram formatting entities
+const ENTITY_TAGS = {
+  bold: 'b',
+  italic: 'i',
+  underline: 'u',
+  strikethrough: 's',
+  code: 'code',
+  pre: 'pre',
+  blockquote: 'blockquote',
+  expandable_blockquote: 'blockquote',
+  spoiler: 'span class="spoiler"'
+};
+
+// Published archive of a channel, or null
+async function getPublishedChannel(DB, channelId) {
+  const slug = await DB.get(`publish_channel:${channelId}`);
+  if (!slug) return null;
+  
+  const data = await DB.get(`publish:${slug}`);
+  return data ? { slug, ...JSON.parse(data) } : null;
+}
+
+// Make a channel's archive public under a slug
+async function publishChannel(DB, channel, slug, userId) {
+  await unpublishChannel(DB, channel.id);
+  await DB.put(`publish:${slug}`, JSON.stringify({
+    channel_id: channel.id,
+    title: channel.title,
+    username: channel.username || null,
+    published_by: userId,
+    published_at: Date.now()
+  }));
+  await DB.put(`publish_channel:${channel.id}`, slug);
+}
+
+// Take a channel's archive offline; returns whether it was published
+async function unpublishChannel(DB, channelId) {
+  const slug = await DB.get(`publish_channel:${channelId}`);
+  if (!slug) return false;
+  
+  await DB.delete(`publish:${slug}`);
+  await DB.delete(`publish_channel:${channelId}`);
+  return true;
+}
+
+// Only web links are safe to put in a public page
+function safeLinkURL(url) {
+  return /^(https?:\/\/|tg:\/\/)/i.test(url) ? url : null;
+}
+
+// Opening and closing HTML of one entity span, or null for entities shown as plain text
+function getEntityTags(text, span) {
+  const { entity } = span;
+  const value = text.slice(span.start, span.end);
+  
+  let href = null;
+  if (entity.type === 'text_link') href = safeLinkURL(entity.url);
+  else if (entity.type === 'url') href = safeLinkURL(/^[a-z]+:\/\//i.test(value) ? value : 'https://' + value);
+  else if (entity.type === 'mention') href = 'https://t.me/' + value.slice(1);
+  
+  if (href) {
+    return { open: `<a href="${escapeAttribute(href)}" rel="nofollow noopener" target="_blank">`, close: '</a>' };
+  }
+  
+  const tag = ENTITY_TAGS[entity.type];
+  return tag ? { open: `<${tag}>`, close: `</${tag.split(' ')[0]}>` } : null;
+}
+
+// Render text with its formatting entities as HTML; entities may nest or overlap, so tags are
+// opened and closed at every entity boundary and reopened when a crossing span closes first
+export function renderEntitiesHTML(text, entities) {
+  if (!text) return '';
+  
+  const spans = (entities || [])
+    .map(entity => ({ entity, start: entity.offset, end: Math.min(entity.offset + entity.length, text.length) }))
+    .filter(span => span.end > span.start)
+    .map(span => ({ ...span, ...getEntityTags(text, span) }))
+    .filter(span => span.open)
+    .sort((a, b) => a.start - b.start || b.end - a.end);
+  
+  const boundaries = [...new Set([0, text.length, ...spans.flatMap(span => [span.start, span.end])])]
+    .sort((a, b) => a - b);
+  
+  const open = [];
+  let html = '';
+  let next = 0;
+  
+  for (let i = 0; i < boundaries.length; i++) {
+    const position = boundaries[i];
+    
+    // Close down to the outermost span ending here, then reopen the ones that go on
+    const depth = open.findIndex(span => span.end === position);
+    if (depth !== -1) {
+      const closed = open.splice(depth);
+      html += closed.slice().reverse().map(span => span.close).join('');
+      const reopened = closed.filter(span => span.end > position);
+      html += reopened.map(span => span.open).join('');
+      open.push(...reopened);
+    }
+    
+    while (next < spans.length && spans[next].start === position) {
+      html += spans[next].open;
+      open.push(spans[next++]);
+    }
+    
+    if (i + 1 < boundaries.length) {
+      html += escapeHTML(text.slice(position, boundaries[i + 1]));
+    }
+  }
+  
+  return html;
+}
+
+// Media element for a backup, served through the archive's file route
+function renderArchiveMedia(slug, backup) {
+  const type = getBackupType(backup);
+  const src = `/archive/${slug}/file/${backup.message_id}`;
+  
+  switch (type) {
+    case 'photo':
+    case 'sticker':
+      return `<img src="${src}" alt="" loading="lazy">`;
+    case 'video':
+    case 'video_note':
+      return `<video src="${src}" controls preload="none"></video>`;
+    case 'animation':
+      return `<video src="${src}" autoplay loop muted playsinline></video>`;
+    case 'audio':
+    case 'voice':
+      return `<audio src="${src}" controls preload="none"></audio>`;
+    case 'document':
+      return `<a class="file" href="${src}">📎 ${escapeHTML(backup.blob?.file_name || 'دانلود فایل')}</a>`;
+    case 'poll':
+      return `<div class="extra">📊 <b>${escapeHTML(backup.poll.question)}</b><ul>${backup.poll.options.map(option => `<li>${escapeHTML(option)}</li>`).join('')}</ul></div>`;
+    case 'venue':
+      return `<div class="extra">📍 <b>${escapeHTML(backup.venue.title)}</b><br>${escapeHTML(backup.venue.address || '')}</div>`;
+    case 'location':
+      return `<div class="extra"><a href="https://www.openstreetmap.org/?mlat=${backup.location.latitude}&amp;mlon=${backup.location.longitude}" target="_blank" rel="noopener">🗺 ${backup.location.latitude}, ${backup.location.longitude}</a></div>`;
+    case 'contact':
+      return `<div class="extra">👤 ${escapeHTML([backup.contact.first_name, backup.contact.last_name].filter(Boolean).join(' '))}</div>`;
+    case 'dice':
+      return `<div class="extra">${escapeHTML(backup.dice.emoji)}</div>`;
+    default:
+      return '';
   }
 }
 
-// Web panel HTML
-function getPanelHTML(tokenSet, kvConnected) {
+// One post (or album) of the archive
+function renderArchivePost(slug, group) {
+  group = [...group].sort((a, b) => a.message_id - b.message_id);
+  const first = group[0];
+  const withCaption = group.find(backup => backup.caption) || first;
+  const body = first.text
+    ? renderEntitiesHTML(first.text, first.entities)
+    : renderEntitiesHTML(withCaption.caption, withCaption.caption_entities);
+  
+  return `
+    <article id="post-${first.message_id}">
+      ${group.map(backup => renderArchiveMedia(slug, backup)).join('')}
+      ${body ? `<div class="body">${body}</div>` : ''}
+      <footer>
+        <a href="/archive/${slug}/${first.message_id}">${first.date ? new Date(first.date * 1000).toLocaleString('fa-IR') : '#' + first.message_id}</a>
+        ${first.edit_date ? ' · ✏️ ویرایش شده' : ''}
+      </footer>
+    </article>`;
+}
+
+function renderArchivePage(published, slug, title, content) {
   return `<!DOCTYPE html>
 <html dir="rtl" lang="fa">
 <head>
   <meta charset="UTF-8">
   <meta name="viewport" content="width=device-width, initial-scale=1.0">
-  <title>پنل ربات تلگرام - بکاپ کانال</title>
+  <title>${escapeHTML(title)}</title>
   <style>
-    * { margin: 0; padding: 0; box-sizing: border-box; }
-    body {
-      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-      background: linear-gradient(135deg, #667eea 0%, #764ba2 100%);
-      min-height: 100vh;
-      display: flex;
-      justify-content: center;
-      align-items: center;
-      padding: 20px;
-    }
-    .panel {
-      background: white;
-      border-radius: 20px;
-      padding: 40px;
-      box-shadow: 0 20px 60px rgba(0,0,0,0.3);
-      max-width: 600px;
-      width: 100%;
-      animation: slideUp 0.5s ease-out;
-    }
-    @keyframes slideUp {
-      from { opacity: 0; transform: translateY(30px); }
-      to { opacity: 1; transform: translateY(0); }
-    }
-    h1 {
-      color: #667eea;
-      margin-bottom: 10px;
-      text-align: center;
-      font-size: 28px;
-    }
-    .subtitle {
-      text-align: center;
-      color: #666;
-      margin-bottom: 30px;
-      font-size: 14px;
-    }
-    .status {
-      margin: 15px 0;
-      padding: 15px 20px;
-      border-radius: 12px;
-      display: flex;
-      align-items: center;
-      justify-content: space-between;
-      transition: all 0.3s ease;
-    }
-    .status:hover {
-      transform: translateX(-5px);
-    }
-    .status.success {
-      background: linear-gradient(135deg, #d4edda 0%, #c3e6cb 100%);
-      border-right: 4px solid #28a745;
-      color: #155724;
-    }
-    .status.error {
-      background: linear-gradient(135deg, #f8d7da 0%, #f5c6cb 100%);
-      border-right: 4px solid #dc3545;
-      color: #721c24;
-    }
-    .status-icon {
-      font-size: 24px;
-      margin-left: 10px;
-    }
-    .status-label {
-      font-weight: 600;
-    }
-    .info {
-      margin-top: 25px;
-      padding: 20px;
-      background: #f8f9fa;
-      border-radius: 12px;
-      font-size: 14px;
-      line-height: 1.8;
-    }
-    .info h3 {
-      color: #667eea;
-      margin-bottom: 12px;
-      font-size: 16px;
-    }
-    .info p {
-      color: #555;
-      margin-bottom: 10px;
-    }
-    .info ul {
-      margin-right: 20px;
-      color: #555;
-    }
-    .info ul li {
-      margin-bottom: 8px;
-    }
-    .info code {
-      background: #e9ecef;
-      padding: 2px 6px;
-      border-radius: 4px;
-      font-family: 'Courier New', monospace;
-      font-size: 13px;
-      color: #d63384;
-    }
-    .status-summary {
-      margin-top: 25px;
-      padding: 20px;
-      background: ${tokenSet && kvConnected ? 'linear-gradient(135deg, #d4edda 0%, #c3e6cb 100%)' : 'linear-gradient(135deg, #fff3cd 0%, #ffeaa7 100%)'};
-      border-radius: 12px;
-      text-align: center;
-      font-weight: 600;
-      color: ${tokenSet && kvConnected ? '#155724' : '#856404'};
-      border: 2px solid ${tokenSet && kvConnected ? '#28a745' : '#ffc107'};
-    }
-    .footer {
-      margin-top: 25px;
-      text-align: center;
-      color: #999;
-      font-size: 12px;
-    }
-    .version {
-      display: inline-block;
-      background: #667eea;
-      color: white;
-      padding: 4px 12px;
-      border-radius: 12px;
-      font-size: 11px;
-      margin-top: 10px;
-    }
+    * { box-sizing: border-box; }
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; background: #eef1f5; margin: 0; padding: 20px; color: #222; }
+    main { max-width: 680px; margin: 0 auto; }
+    header { margin-bottom: 20px; }
+    header h1 { font-size: 22px; margin: 0 0 5px; }
+    header a, footer a, .pager a { color: #667eea; text-decoration: none; }
+    article { background: white; border-radius: 14px; padding: 15px; margin-bottom: 15px; box-shadow: 0 2px 8px rgba(0,0,0,0.06); }
+    article img, article video { max-width: 100%; border-radius: 10px; display: block; margin-bottom: 10px; }
+    article audio { width: 100%; margin-bottom: 10px; }
+    .body { white-space: pre-wrap; overflow-wrap: anywhere; line-height: 1.7; unicode-bidi: plaintext; }
+    .body pre { background: #f4f4f4; padding: 10px; border-radius: 8px; overflow-x: auto; }
+    .body blockquote { border-right: 3px solid #667eea; margin: 5px 0; padding: 0 10px; }
+    .spoiler { background: #ccc; color: transparent; border-radius: 4px; }
+    .spoiler:hover { color: inherit; background: none; }
+    .extra { background: #f8f9fa; border-radius: 10px; padding: 10px; margin-bottom: 10px; }
+    .file { display: inline-block; background: #f0f4ff; padding: 8px 12px; border-radius: 8px; margin-bottom: 10px; color: #333; text-decoration: none; }
+    article footer { color: #999; font-size: 13px; margin-top: 10px; }
+    .pager { display: flex; justify-content: space-between; margin: 20px 0; }
   </style>
 </head>
 <body>
-  <div class="panel">
-    <h1>🤖 پنل ربات بکاپ تلگرام</h1>
-    <p class="subtitle">Cloudflare Pages • نسخه 3.0</p>
-    
-    <div class="status ${tokenSet ? 'success' : 'error'}">
-      <span class="status-label">🔑 توکن تلگرام</span>
-      <span class="status-icon">${tokenSet ? '✅' : '❌'}</span>
-    </div>
-    
-    <div class="status ${kvConnected ? 'success' : 'error'}">
-      <span class="status-label">💾 دیتابیس KV</span>
-      <span class="status-icon">${kvConnected ? '✅' : '❌'}</span>
-    </div>
-    
-    <div class="status-summary">
-      ${tokenSet && kvConnected 
-        ? '✅ سیستم آماده و در حال اجرا' 
-        : '⚠️ نیاز به تکمیل تنظیمات'}
-    </div>
-    
-    <div class="info">
-      <h3>✨ قابلیت‌های جدید نسخه 3.0</h3>
-      <ul>
-        <li>✅ بکاپ خودکار پیام‌های قبلی هنگام افزودن کانال</li>
-        <li>✅ بکاپ از آخرین به اولین پیام</li>
-        <li>✅ نمایش پیشرفت بکاپ‌گیری</li>
-        <li>✅ پشتیبانی از انواع فایل (استیکر، انیمیشن، ...)</li>
-        <li>✅ بهبود سرعت و پایداری</li>
-      </ul>
-    </div>
-    
-    <div class="info">
-      <h3>⚙️ تنظیمات</h3>
-      <ul>
-        <li><code>TELEGRAM_BOT_TOKEN</code> در Environment Variables</li>
-        <li>KV Namespace با Binding Name = <code>DB</code></li>
-        <li>ربات باید دسترسی "حذف پیام" داشته باشد</li>
-      </ul>
-    </div>
-    
-    <div class="footer">
-      Powered by Cloudflare Pages<br>
-      <span class="version">v3.0.0 - Auto Backup</span>
-    </div>
-  </div>
+  <main>
+    <header>
+      <h1><a href="/archive/${slug}">${escapeHTML(published.title)}</a></h1>
+      ${published.username ? `<div>@${escapeHTML(published.username)}</div>` : ''}
+    </header>
+    ${content}
+  </main>
 </body>
 </html>`;
 }
 
+// Stream a backup's file from the blob store, or from Telegram through getFile;
+// routes behind a token pass a private cacheControl so shared caches never keep the file
+async function serveBackupFile(env, backup, cacheControl = 'public, max-age=86400') {
+  const type = getBackupType(backup);
+  if (!ARCHIVE_MEDIA_TYPES[type]) return new Response('Not Found', { status: 404 });
+  
+  const blobs = getBlobStore(env);
+  const stored = blobs && backup.blob ? await blobs.open(backup.blob.key) : null;
+  const file = stored || await openTelegramFile(env.TELEGRAM_BOT_TOKEN, backup[type]);
+  if (!file) return new Response('File unavailable', { status: 502 });
+  
+  const headers = {
+    'Content-Type': stored?.type || backup.blob?.mime_type || ARCHIVE_MEDIA_TYPES[type],
+    'Cache-Control': cacheControl
+  };
+  if (type === 'document') {
+    const fileName = backup.blob?.file_name || file.path?.split('/').pop() || `file-${backup.message_id}`;
+    headers['Content-Disposition'] = `attachment; filename="${fileName.replace(/["\\\r\n]/g, '_')}"`;
+  }
+  return new Response(file.content, { headers });
+}
+
+// Routes under /archive/<slug>
+async function handleArchive(env, url, ctx) {
+  const DB = env.DB;
+  
+  // The archive is public, so repeat hits on a page are answered from the edge cache instead of KV
+  const cacheKey = new Request(url.toString());
+  const cached = await caches.default.match(cacheKey);
+  if (cached) return cached;
+  
+  const match = url.pathname.match(/^\/archive\/([a-z0-9_-]+)(?:\/(\d+)|\/file\/(\d+))?\/?$/);
+  const data = match ? await DB.get(`publish:${match[1]}`) : null;
+  if (!data) {
+    return new Response('Not Found', { status: 404 });
+  }
+  
+  const [, slug, postId, fileId] = match;
+  const published = JSON.parse(data);
+  const html = (body, status = 200) => {
+    const response = new Response(body, {
+      status,
+      headers: { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'public, max-age=300' }
+    });
+    if (status === 200) ctx.waitUntil(caches.default.put(cacheKey, response.clone()));
+    return response;
+  };
+  
+  if (postId || fileId) {
+    const backup = await getBackupMessage(DB, published.channel_id, postId || fileId);
+    if (!backup) return new Response('Not Found', { status: 404 });
+    if (fileId) return serveBackupFile(env, backup);
+    
+    const snippet = (backup.text || backup.caption || '').slice(0, 60);
+    return html(renderArchivePage(published, slug, snippet || published.title,
+      renderArchivePost(slug, [backup]) +
+      `<div class="pager"><a href="/archive/${slug}">→ همه پست‌ها</a></div>`
+    ));
+  }
+  
+  const page = Math.max(1, parseInt(url.searchParams.get('page') || '1') || 1);
+  const result = await getBackupsPage(DB, published.channel_id, {}, page, ARCHIVE_PAGE_SIZE);
+  const posts = groupMediaAlbums(result.items).map(group => renderArchivePost(slug, group)).join('');
+  
+  return html(renderArchivePage(published, slug, published.title,
+    (posts || '<article>هنوز پستی وجود ندارد.</article>') +
+    `<div class="pager">
+      <span>${page > 1 ? `<a href="?page=${page - 1}">→ جدیدتر</a>` : ''}</span>
+      <span>${result.has_more ? `<a href="?page=${page + 1}">قدیمی‌تر ←</a>` : ''}</span>
+    </div>`
+  ));
+}
+
+// Feeds carry the latest posts only
+const FEED_ITEM_LIMIT = 50;
+const FEED_TITLE_LENGTH = 80;
+
+const FEED_CONTENT_TYPES = {
+  rss: 'application/rss+xml; charset=utf-8',
+  atom: 'application/atom+xml; charset=utf-8',
+  json: 'application/feed+json; charset=utf-8'
+};
+
+// Create or rotate the token that unlocks a channel's feeds
+async function createFeedToken(DB, channel, userId) {
+  const feedToken = toHex(crypto.getRandomValues(new Uint8Array(16)));
+  await DB.put(`feed:${channel.id}`, JSON.stringify({
+    token: feedToken,
+    title: channel.title,
+    username: channel.username || null,
+    created_by: userId,
+    created_at: Date.now()
+  }));
+  return feedToken;
+}
+
+// Title for a feed item: first line of its text or caption, else its type
+function getFeedItemTitle(backup) {
+  const firstLine = (backup.text || backup.caption || '').split('\n').find(line => line.trim());
+  if (firstLine) {
+    return firstLine.length > FEED_TITLE_LENGTH ? firstLine.slice(0, FEED_TITLE_LENGTH - 1) + '…' : firstLine;
+  }
+  return BACKUP_TYPE_LABELS[getBackupType(backup)] || `#${backup.message_id}`;
+}
+
+// Normalized feed items, newest first, shared by every feed format
+async function buildFeedItems(DB, channelId, feed, origin, published) {
+  const backups = (await getLastBackups(DB, channelId, FEED_ITEM_LIMIT)).reverse();
+  
+  return backups.map(backup => {
+    const type = getBackupType(backup);
+    const body = backup.text
+      ? renderEntitiesHTML(backup.text, backup.entities)
+      : renderEntitiesHTML(backup.caption, backup.caption_entities);
+    
+    return {
+      id: `${channelId}:${backup.message_id}`,
+      title: getFeedItemTitle(backup),
+      html: body.replace(/\n/g, '<br>'),
+      text: backup.text || backup.caption || '',
+      link: published
+        ? `${origin}/archive/${published.slug}/${backup.message_id}`
+        : buildPostLink(channelId, feed.username, backup.message_id),
+      date: new Date((backup.date || 0) * 1000),
+      updated: new Date((backup.edit_date || backup.date || 0) * 1000),
+      enclosure: ARCHIVE_MEDIA_TYPES[type] ? {
+        url: `${origin}/feed/${channelId}/file/${backup.message_id}?token=${feed.token}`,
+        type: backup.blob?.mime_type || ARCHIVE_MEDIA_TYPES[type],
+        length: backup.blob?.size || backup.file_size || 0
+      } : null
+    };
+  });
+}
+
+function buildRSSFeed(feed, items, selfUrl) {
+  const entries = items.map(item => `
+    <item>
+      <title>${escapeAttribute(item.title)}</title>
+      <link>${escapeAttribute(item.link)}</link>
+      <guid isPermaLink="false">${escapeAttribute(item.id)}</guid>
+      <pubDate>${item.date.toUTCString()}</pubDate>
+      <description>${escapeAttribute(item.html)}</description>${item.enclosure ? `
+      <enclosure url="${escapeAttribute(item.enclosure.url)}" type="${escapeAttribute(item.enclosure.type)}" length="${item.enclosure.length}"/>` : ''}
+    </item>`).join('');
+  
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${escapeAttribute(feed.title)}</title>
+    <link>${escapeAttribute(feed.link)}</link>
+    <description>${escapeAttribute(feed.title)}</description>
+    <atom:link href="${escapeAttribute(selfUrl)}" rel="self" type="application/rss+xml"/>
+    <lastBuildDate>${new Date().toUTCString()}</lastBuildDate>${entries}
+  </channel>
+</rss>`;
+}
+
+function buildAtomFeed(feed, items, selfUrl) {
+  const entries = items.map(item => `
+  <entry>
+    <id>urn:telegram:${escapeAttribute(item.id)}</id>
+    <title>${escapeAttribute(item.title)}</title>
+    <link href="${escapeAttribute(item.link)}"/>
+    <published>${item.date.toISOString()}</published>
+    <updated>${item.updated.toISOString()}</updated>
+    <content type="html">${escapeAttribute(item.html)}</content>${item.enclosure ? `
+    <link rel="enclosure" href="${escapeAttribute(item.enclosure.url)}" type="${escapeAttribute(item.enclosure.type)}" length="${item.enclosure.length}"/>` : ''}
+  </entry>`).join('');
+  
+  const updated = items.length > 0 ? items[0].updated : new Date();
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>urn:telegram:${escapeAttribute(feed.channel_id)}</id>
+  <title>${escapeAttribute(feed.title)}</title>
+  <link href="${escapeAttribute(feed.link)}"/>
+  <link rel="self" href="${escapeAttribute(selfUrl)}"/>
+  <updated>${updated.toISOString()}</updated>${entries}
+</feed>`;
+}
+
+function buildJSONFeed(feed, items, selfUrl) {
+  return JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    home_page_url: feed.link,
+    feed_url: selfUrl,
+    items: items.map(item => ({
+      id: item.id,
+      url: item.link,
+      title: item.title,
+      content_html: item.html,
+      content_text: item.text || undefined,
+      date_published: item.date.toISOString(),
+      date_modified: item.updated.toISOString(),
+      attachments: item.enclosure ? [{
+        url: item.enclosure.url,
+        mime_type: item.enclosure.type,
+        size_in_bytes: item.enclosure.length || undefined
+      }] : undefined
+    }))
+  }, null, 2);
+}
+
+// Routes under /feed/<channel id>
+async function handleFeed(env, url) {
+  const DB = env.DB;
+  const match = url.pathname.match(/^\/feed\/(-?\d+)(?:\.(rss|atom|json)|\/file\/(\d+))$/);
+  const data = match ? await DB.get(`feed:${match[1]}`) : null;
+  const feedToken = url.searchParams.get('token') || '';
+  
+  // Unknown channels and wrong tokens look the same
+  if (!data || !safeEqual(JSON.parse(data).token, feedToken)) {
+    return new Response('Not Found', { status: 404 });
+  }
+  
+  const [, channelId, format, fileId] = match;
+  const feed = { channel_id: channelId, ...JSON.parse(data) };
+  const origin = env.PUBLIC_URL ? env.PUBLIC_URL.replace(/\/$/, '') : url.origin;
+  
+  if (fileId) {
+    const backup = await getBackupMessage(DB, channelId, fileId);
+    return backup ? serveBackupFile(env, backup, 'private, no-store') : new Response('Not Found', { status: 404 });
+  }
+  
+  // Point readers at the public archive when there is one
+  const published = await getPublishedChannel(DB, channelId);
+  feed.link = published ? `${origin}/archive/${published.slug}`
+    : feed.username ? `https://t.me/${feed.username}` : origin;
+  const selfUrl = `${origin}/feed/${channelId}.${format}?token=${feedToken}`;
+  const items = await buildFeedItems(DB, channelId, feed, origin, published);
+  
+  const body = format === 'rss' ? buildRSSFeed(feed, items, selfUrl)
+    : format === 'atom' ? buildAtomFeed(feed, items, selfUrl)
+    : buildJSONFeed(feed, items, selfUrl);
+  
+  return new Response(body, {
+    headers: { 'Content-Type': FEED_CONTENT_TYPES[format], 'Cache-Control': 'private, max-age=300' }
+  });
+}
+
 // Main export
 export default {
   async fetch(request, env, ctx) {
@@ -1740,6 +6341,10 @@ export default {
       return new Response(JSON.stringify({
         token_set: !!env.TELEGRAM_BOT_TOKEN,
         kv_connected: !!env.DB,
+        webhook_secret_set: !!env.TELEGRAM_WEBHOOK_SECRET,
+        file_storage: !!getBlobStore(env),
+        // Public endpoint: whether probing works, without the chat's id, title or error
+        storage_chat_ok: env.TELEGRAM_BOT_TOKEN && env.DB ? (await getStorageChat(env)).ok : false,
         timestamp: Date.now(),
         version: '3.0.0'
       }), {
@@ -1750,6 +6355,46 @@ export default {
       });
     }
     
+    if (url.pathname.startsWith('/api/v1/') && env.DB) {
+      return handleApi(request, env, ctx, url);
+    }
+    
+    if (url.pathname.startsWith('/archive/') && env.DB && env.TELEGRAM_BOT_TOKEN) {
+      return handleArchive(env, url, ctx);
+    }
+    
+    if (url.pathname.startsWith('/feed/') && env.DB && env.TELEGRAM_BOT_TOKEN) {
+      return handleFeed(env, url);
+    }
+    
+    const exportMatch = url.pathname.match(/^\/export\/([0-9a-f-]{36})\.(json|csv)$/);
+    if (exportMatch && env.DB) {
+      const [, exportToken, format] = exportMatch;
+      const tokenData = await env.DB.get(`export_token:${exportToken}`);
+      if (!tokenData) {
+        return new Response('Export link expired or invalid', { status: 404 });
+      }
+      
+      const { user_id: exportUserId, channel_id: exportChannelId, task_id: taskId } = JSON.parse(tokenData);
+      const userData = await getUserData(env.DB, exportUserId);
+      const channel = userData.channels.find(ch => ch.id === exportChannelId);
+      const task = taskId ? await getTask(env.DB, taskId) : null;
+      if (!channel || task?.status !== 'completed') {
+        return new Response('Export not found', { status: 404 });
+      }
+      
+      return new Response(streamChannelExport(env.DB, task, format), {
+        headers: {
+          'Content-Type': format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8',
+          'Content-Disposition': `attachment; filename="${getExportFileName(channel, format)}"`
+        }
+      });
+    }
+    
+    if ((url.pathname === '/dashboard' || url.pathname.startsWith('/dashboard/')) && env.DB && env.TELEGRAM_BOT_TOKEN) {
+      return handleDashboard(request, env, ctx, url);
+    }
+    
     if (url.pathname === '/' || url.pathname === '') {
       const html = getPanelHTML(!!env.TELEGRAM_BOT_TOKEN, !!env.DB);
       return new Response(html, {
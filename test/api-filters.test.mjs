@@ -0,0 +1,67 @@
+// Run from the repository root with Node 20.19+ or 22+: node --test test/*.test.mjs
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import app from '../main.js';
+import { createKV } from './helpers.mjs';
+
+const channelId = '-1003333333333';
+const apiKey = 'tgb_test-key';
+
+// A KV namespace with one API user who owns one channel
+async function apiDB() {
+  const DB = createKV();
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(apiKey));
+  const hash = [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+  
+  DB.store.set(`apikey:${hash}`, JSON.stringify({ user_id: 42 }));
+  DB.store.set('user:42', JSON.stringify({ channels: [{ id: channelId, title: 'API' }], backups: {} }));
+  DB.store.set('channel_index:built', '1');
+  DB.store.set(`member:${channelId}:42`, 'owner');
+  return DB;
+}
+
+// Call the API as the test user
+async function callApi(DB, path, init = {}) {
+  const request = new Request('https://bot.example' + path, {
+    ...init,
+    headers: { Authorization: `Bearer ${apiKey}`, 'Content-Type': 'application/json' }
+  });
+  const response = await app.fetch(request, { DB, TELEGRAM_BOT_TOKEN: '1:test' }, { waitUntil() {} });
+  return { status: response.status, body: await response.json() };
+}
+
+test('invalid listing filters come back as English API errors', async () => {
+  const DB = await apiDB();
+  
+  for (const [query, pattern] of [['ids=500-100', /ids must be/], ['from=2024-02-30', /valid YYYY-MM-DD/], ['types=hologram', /types must be/]]) {
+    const { status, body } = await callApi(DB, `/api/v1/channels/${channelId}/backups?${query}`);
+    assert.equal(status, 400);
+    assert.equal(body.error.code, 'invalid_request');
+    assert.match(body.error.message, pattern);
+    assert.doesNotMatch(body.error.message, /[؀-ۿ]/);
+  }
+});
+
+test('invalid restore filters come back as English API errors', async () => {
+  const DB = await apiDB();
+  
+  const { status, body } = await callApi(DB, `/api/v1/channels/${channelId}/restores`, {
+    method: 'POST',
+    body: JSON.stringify({ target: '@target', filters: { ids: '-' } })
+  });
+  assert.equal(status, 400);
+  assert.equal(body.error.code, 'invalid_request');
+  assert.equal(body.error.message, 'ids must be an id or a non-empty range like 100-200 with start <= end (got ids:-)');
+});
+
+test('valid filters list the matching backups', async () => {
+  const DB = await apiDB();
+  for (let id = 1; id <= 5; id++) {
+    DB.store.set(`backup:${channelId}:${id}`, JSON.stringify({ message_id: id, date: 1700000000, text: `post ${id}` }));
+  }
+  
+  const { status, body } = await callApi(DB, `/api/v1/channels/${channelId}/backups?ids=2-4`);
+  assert.equal(status, 200);
+  assert.deepEqual(body.backups.map(backup => backup.message_id), [4, 3, 2]);
+  assert.equal(body.has_more, false);
+});
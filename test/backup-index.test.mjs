@@ -0,0 +1,126 @@
+// Run from the repository root with Node 20.19+ or 22+: node --test test/*.test.mjs
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { reconcileBackupIndex, getLastBackups, getBackupsPage } from '../main.js';
+import { createKV, deliver } from './helpers.mjs';
+
+// Nothing here should reach Telegram, but notifications would try
+globalThis.fetch = async () => new Response(JSON.stringify({ ok: false, description: 'offline' }));
+
+const channelId = -1001234567890;
+
+// A channel_post update for one message
+function channelPost(messageId, fields = {}) {
+  return {
+    update_id: 1000 + messageId,
+    channel_post: {
+      message_id: messageId,
+      date: 1700000000,
+      chat: { id: channelId, type: 'channel', title: 'Test' },
+      ...fields
+    }
+  };
+}
+
+// An album arrives as one update per item, handled in parallel
+function albumUpdates(count) {
+  return Array.from({ length: count }, (_, i) => channelPost(10 + i, {
+    media_group_id: 'album',
+    photo: [{ file_id: `photo-${i}`, file_size: 100 }],
+    caption: i === 0 ? 'album caption' : undefined
+  }));
+}
+
+test('parallel saves keep every id once the index is reconciled', async () => {
+  const DB = createKV();
+  const env = { DB, TELEGRAM_BOT_TOKEN: '1:test' };
+  
+  // An earlier post gives the channel a manifest that every album item then updates at once
+  await deliver(env, channelPost(5, { text: 'earlier post' }));
+  await deliver(env, ...albumUpdates(10));
+  
+  const index = await reconcileBackupIndex(DB, channelId);
+  assert.equal(index.count, 11);
+  assert.equal(index.last_id, 19);
+  assert.deepEqual(
+    JSON.parse(DB.store.get(`backup_chunk:${channelId}:0`)),
+    [5, ...Array.from({ length: 10 }, (_, i) => 10 + i)]
+  );
+});
+
+test('an index that matches the stored keys is left alone', async () => {
+  const DB = createKV();
+  const env = { DB, TELEGRAM_BOT_TOKEN: '1:test' };
+  
+  for (const update of albumUpdates(3)) {
+    await deliver(env, update);
+  }
+  
+  const before = DB.store.get(`backup_index:${channelId}`);
+  const index = await reconcileBackupIndex(DB, channelId);
+  assert.equal(index.count, 3);
+  assert.equal(DB.store.get(`backup_index:${channelId}`), before);
+});
+
+test('reads right after an album see every item without an explicit reconcile', async () => {
+  const DB = createKV();
+  const env = { DB, TELEGRAM_BOT_TOKEN: '1:test' };
+  
+  await deliver(env, channelPost(5, { text: 'earlier post' }));
+  await deliver(env, ...albumUpdates(10));
+  
+  const backups = await getLastBackups(DB, channelId, 50);
+  assert.deepEqual(backups.map(backup => backup.message_id), [5, ...Array.from({ length: 10 }, (_, i) => 10 + i)]);
+  assert.equal(JSON.parse(DB.store.get(`backup_index:${channelId}`)).count, 11);
+});
+
+// Store backups straight into KV and build their index, for tests that only read
+async function seedBackups(DB, count, fields = () => ({})) {
+  for (let id = 1; id <= count; id++) {
+    DB.store.set(`backup:${channelId}:${id}`, JSON.stringify({ message_id: id, date: 1700000000 + id, text: `post ${id}`, ...fields(id) }));
+  }
+  await reconcileBackupIndex(DB, channelId);
+}
+
+// Count the reads of keys starting with a prefix
+function countReads(DB, prefix) {
+  const reads = { count: 0 };
+  const get = DB.get;
+  DB.get = async (key) => {
+    if (key.startsWith(prefix)) reads.count++;
+    return get(key);
+  };
+  return reads;
+}
+
+test('an unfiltered page reads only the newest chunk', async () => {
+  const DB = createKV();
+  await seedBackups(DB, 2500);
+  const chunkReads = countReads(DB, 'backup_chunk:');
+  
+  const result = await getBackupsPage(DB, channelId, {}, 2, 20);
+  assert.deepEqual(result.items.map(backup => backup.message_id), Array.from({ length: 20 }, (_, i) => 2480 - i));
+  assert.equal(result.has_more, true);
+  assert.equal(chunkReads.count, 1);
+});
+
+test('a filtered page stops reading at the scan limit', async () => {
+  const DB = createKV();
+  await seedBackups(DB, 1500, id => (id <= 10 ? { photo: [{ file_id: `photo-${id}` }], text: undefined } : {}));
+  const recordReads = countReads(DB, 'backup:');
+  
+  const result = await getBackupsPage(DB, channelId, { filters: { types: ['photo'] } }, 1, 20);
+  assert.deepEqual(result.items, []);
+  assert.equal(result.has_more, false);
+  assert.equal(result.truncated, true);
+  assert.equal(recordReads.count, 1000);
+});
+
+test('id filters pick the page from the index alone', async () => {
+  const DB = createKV();
+  await seedBackups(DB, 1500);
+  
+  const result = await getBackupsPage(DB, channelId, { filters: { from_id: 100, to_id: 150 } }, 1, 20);
+  assert.deepEqual(result.items.map(backup => backup.message_id), Array.from({ length: 20 }, (_, i) => 150 - i));
+  assert.equal(result.has_more, true);
+});
@@ -0,0 +1,126 @@
+// Run from the repository root with Node 20.19+ or 22+: node --test test/*.test.mjs
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getBlobStore, sendBackup, sendAlbum } from '../main.js';
+import { createKV, deliver } from './helpers.mjs';
+
+const channelId = -1009876543210;
+const fileBytes = new Uint8Array([1, 2, 3, 4, 5]);
+
+// Telegram stand-in: serves files through getFile, refuses the file_ids in `expired` and records every call
+function createTelegram({ expired = [] } = {}) {
+  const calls = [];
+  
+  globalThis.fetch = async (url, options = {}) => {
+    const method = String(url).split('/').pop();
+    
+    if (String(url).includes('/file/bot')) {
+      calls.push({ method: 'download', path: method });
+      return new Response(fileBytes);
+    }
+    
+    const body = options.body instanceof FormData ? options.body : JSON.parse(options.body || '{}');
+    calls.push({ method, body });
+    
+    if (method === 'getFile') {
+      return Response.json({ ok: true, result: { file_path: `photos/${body.file_id}.jpg` } });
+    }
+    
+    const sentIds = body instanceof FormData ? [] : [body.photo, ...(body.media || []).map(item => item.media)];
+    if (sentIds.some(fileId => expired.includes(fileId))) {
+      return Response.json({ ok: false, description: 'Bad Request: wrong file identifier/HTTP URL specified' });
+    }
+    return Response.json({ ok: true, result: body.media ? body.media.map((_, i) => ({ message_id: 100 + i })) : { message_id: 100 } });
+  };
+  
+  return calls;
+}
+
+// A channel post carrying one photo
+function photoPost(messageId, fileId, fields = {}) {
+  return {
+    update_id: 5000 + messageId,
+    channel_post: {
+      message_id: messageId,
+      date: 1700000000,
+      chat: { id: channelId, type: 'channel', title: 'Files' },
+      photo: [{ file_id: fileId, file_unique_id: `unique-${fileId}`, file_size: fileBytes.length }],
+      ...fields
+    }
+  };
+}
+
+test('a backed-up photo is copied into the blob store by a background task', async () => {
+  const DB = createKV();
+  const env = { DB, TELEGRAM_BOT_TOKEN: '1:test', BLOB_STORE: 'memory' };
+  const calls = createTelegram();
+  
+  await deliver(env, photoPost(1, 'photo-a'));
+  
+  const backup = JSON.parse(DB.store.get(`backup:${channelId}:1`));
+  assert.deepEqual(backup.blob, {
+    key: `files/${channelId}/unique-photo-a`,
+    file_name: 'photo-a.jpg',
+    mime_type: 'application/octet-stream',
+    size: fileBytes.length
+  });
+  
+  const stored = await getBlobStore(env).get(backup.blob.key);
+  assert.deepEqual(new Uint8Array(stored.content), fileBytes);
+  assert.equal(calls.filter(call => call.method === 'download').length, 1);
+});
+
+test('nothing is downloaded when file storage is off', async () => {
+  const DB = createKV();
+  const calls = createTelegram();
+  
+  await deliver({ DB, TELEGRAM_BOT_TOKEN: '1:test' }, photoPost(2, 'photo-b'));
+  
+  assert.equal(JSON.parse(DB.store.get(`backup:${channelId}:2`)).blob, null);
+  assert.equal(calls.filter(call => call.method === 'getFile').length, 0);
+});
+
+test('a restore re-uploads the stored copy when the file_id stopped working', async () => {
+  const DB = createKV();
+  const env = { DB, TELEGRAM_BOT_TOKEN: '1:test', BLOB_STORE: 'memory' };
+  createTelegram();
+  await deliver(env, photoPost(3, 'photo-c', { caption: 'kept caption' }));
+  const backup = JSON.parse(DB.store.get(`backup:${channelId}:3`));
+  
+  const calls = createTelegram({ expired: ['photo-c'] });
+  const result = await sendBackup('1:test', -100555, backup, '', {}, getBlobStore(env));
+  
+  assert.equal(result.ok, true);
+  assert.deepEqual(calls.map(call => call.method), ['sendPhoto', 'sendPhoto']);
+  const upload = calls[1].body;
+  assert.equal(upload.get('caption'), 'kept caption');
+  assert.deepEqual(new Uint8Array(await upload.get('photo').arrayBuffer()), fileBytes);
+});
+
+test('an album re-uploads only the items that have a stored copy', async () => {
+  const DB = createKV();
+  const env = { DB, TELEGRAM_BOT_TOKEN: '1:test', BLOB_STORE: 'memory' };
+  createTelegram();
+  await deliver(env, photoPost(4, 'photo-d', { media_group_id: 'g' }), photoPost(5, 'photo-e', { media_group_id: 'g' }));
+  const items = [4, 5].map(id => JSON.parse(DB.store.get(`backup:${channelId}:${id}`)));
+  items[1].blob = null;
+  
+  const calls = createTelegram({ expired: ['photo-d'] });
+  const response = await sendAlbum('1:test', -100555, items, '', {}, getBlobStore(env));
+  
+  assert.equal(response.ok, true);
+  const media = JSON.parse(calls[1].body.get('media'));
+  assert.deepEqual(media.map(item => item.media), ['attach://file0', 'photo-e']);
+  assert.ok(calls[1].body.get('file0'));
+});
+
+test('without a stored copy the file_id error is passed on', async () => {
+  const calls = createTelegram({ expired: ['photo-f'] });
+  const backup = { message_id: 6, photo: 'photo-f', blob: null };
+  
+  const result = await sendBackup('1:test', -100555, backup, '', {}, getBlobStore({ BLOB_STORE: 'memory' }));
+  
+  assert.equal(result.ok, false);
+  assert.match(result.error, /wrong file identifier/);
+  assert.equal(calls.length, 1);
+});
@@ -0,0 +1,45 @@
+// Run from the repository root with Node 20.19+ or 22+: node --test test/*.test.mjs
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderEntitiesHTML } from '../main.js';
+
+test('plain text is escaped', () => {
+  assert.equal(renderEntitiesHTML('a <b> & "c"', null), 'a &lt;b&gt; &amp; "c"');
+  assert.equal(renderEntitiesHTML('', [{ type: 'bold', offset: 0, length: 1 }]), '');
+});
+
+test('nested entities close in order', () => {
+  const html = renderEntitiesHTML('bold italic', [
+    { type: 'bold', offset: 0, length: 11 },
+    { type: 'italic', offset: 5, length: 6 }
+  ]);
+  assert.equal(html, '<b>bold <i>italic</i></b>');
+});
+
+test('overlapping entities are closed and reopened at the crossing', () => {
+  const html = renderEntitiesHTML('abcdef', [
+    { type: 'bold', offset: 0, length: 4 },
+    { type: 'italic', offset: 2, length: 4 }
+  ]);
+  assert.equal(html, '<b>ab<i>cd</i></b><i>ef</i>');
+});
+
+test('offsets count UTF-16 code units like Telegram', () => {
+  const html = renderEntitiesHTML('😀 hi', [{ type: 'bold', offset: 3, length: 2 }]);
+  assert.equal(html, '😀 <b>hi</b>');
+});
+
+test('links are rendered only for web and tg schemes', () => {
+  assert.equal(
+    renderEntitiesHTML('site', [{ type: 'text_link', offset: 0, length: 4, url: 'https://example.com/?a=1&b=2' }]),
+    '<a href="https://example.com/?a=1&amp;b=2" rel="nofollow noopener" target="_blank">site</a>'
+  );
+  assert.equal(renderEntitiesHTML('bad', [{ type: 'text_link', offset: 0, length: 3, url: 'javascript:alert(1)' }]), 'bad');
+  assert.match(renderEntitiesHTML('example.com', [{ type: 'url', offset: 0, length: 11 }]), /href="https:\/\/example\.com"/);
+  assert.match(renderEntitiesHTML('@chan', [{ type: 'mention', offset: 0, length: 5 }]), /href="https:\/\/t\.me\/chan"/);
+});
+
+test('unknown entities and spans past the end of the text are ignored', () => {
+  assert.equal(renderEntitiesHTML('#tag', [{ type: 'hashtag', offset: 0, length: 4 }]), '#tag');
+  assert.equal(renderEntitiesHTML('abc', [{ type: 'bold', offset: 1, length: 10 }]), 'a<b>bc</b>');
+});
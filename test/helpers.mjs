@@ -0,0 +1,46 @@
+// Shared stand-ins for the Workers runtime used by the tests
+import { handleUpdate } from '../main.js';
+
+// In-memory stand-in for a KV namespace; every call yields so parallel saves interleave like on Workers
+export function createKV() {
+  const store = new Map();
+  const metadata = new Map();
+  const tick = () => new Promise(resolve => setTimeout(resolve, 0));
+  
+  return {
+    store,
+    async get(key) {
+      await tick();
+      return store.has(key) ? store.get(key) : null;
+    },
+    async put(key, value, options = {}) {
+      await tick();
+      store.set(key, value);
+      metadata.set(key, options.metadata);
+    },
+    async delete(key) {
+      await tick();
+      store.delete(key);
+      metadata.delete(key);
+    },
+    async list({ prefix = '', cursor, limit = 1000 } = {}) {
+      await tick();
+      const names = [...store.keys()].filter(name => name.startsWith(prefix)).sort();
+      const start = cursor ? parseInt(cursor) : 0;
+      const done = start + limit >= names.length;
+      return {
+        keys: names.slice(start, start + limit).map(name => ({ name, metadata: metadata.get(name) })),
+        list_complete: done,
+        cursor: done ? undefined : String(start + limit)
+      };
+    }
+  };
+}
+
+// Deliver updates the way the webhook does and wait for the work they hand to waitUntil
+export async function deliver(env, ...updates) {
+  const pending = [];
+  const context = { waitUntil: promise => pending.push(promise) };
+  await Promise.all(updates.map(update => handleUpdate(update, env, context)));
+  while (pending.length > 0) await pending.shift();
+}
@@ -0,0 +1,104 @@
+// Run from the repository root with Node 20.19+ or 22+: node --test test/*.test.mjs
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { flushNotificationDigests } from '../main.js';
+import { createKV, deliver } from './helpers.mjs';
+
+const channels = [
+  { id: '-1004444444444', title: 'First' },
+  { id: '-1005555555555', title: 'Second' }
+];
+const hour = 60 * 60 * 1000;
+
+// Record every message the bot sends
+function captureMessages() {
+  const sent = [];
+  globalThis.fetch = async (url, options) => {
+    const body = JSON.parse(options.body);
+    if (String(url).endsWith('/sendMessage')) sent.push(body);
+    return Response.json({ ok: true, result: { message_id: sent.length } });
+  };
+  return sent;
+}
+
+// A KV namespace where user 7 owns both channels with the given notify mode
+function membersDB(mode) {
+  const DB = createKV();
+  DB.store.set('channel_index:built', '1');
+  DB.store.set('user:7', JSON.stringify({ channels, backups: {} }));
+  for (const channel of channels) {
+    DB.store.set(`channel:${channel.id}`, '{}');
+    DB.store.set(`member:${channel.id}:7`, 'owner');
+    DB.store.set(`notify:7:${channel.id}`, mode);
+  }
+  return DB;
+}
+
+// A channel post in one of the channels
+function post(channel, messageId, fields = { text: 'hello' }) {
+  return {
+    update_id: Number(channel.id.slice(-4)) * 1000 + messageId,
+    channel_post: { message_id: messageId, date: 1700000000, chat: { id: Number(channel.id), type: 'channel', title: channel.title }, ...fields }
+  };
+}
+
+// Run a flush as if it happened `ms` from now
+async function flushLater(DB, ms) {
+  const now = Date.now;
+  Date.now = () => now() + ms;
+  try {
+    await flushNotificationDigests(DB, '1:test');
+  } finally {
+    Date.now = now;
+  }
+}
+
+test('parallel posts are queued and sent as one digest per user', async () => {
+  const DB = membersDB('hourly');
+  const sent = captureMessages();
+  
+  await deliver({ DB, TELEGRAM_BOT_TOKEN: '1:test' },
+    post(channels[0], 1), post(channels[0], 2, { photo: [{ file_id: 'p' }] }), post(channels[0], 3), post(channels[1], 9)
+  );
+  assert.equal(sent.length, 0);
+  assert.equal([...DB.store.keys()].filter(key => key.startsWith('digest:7:hourly:')).length, 4);
+  
+  await flushNotificationDigests(DB, '1:test');
+  assert.equal(sent.length, 0, 'a digest waits for its interval');
+  
+  await flushLater(DB, hour + 1000);
+  assert.equal(sent.length, 1);
+  assert.equal(sent[0].chat_id, '7');
+  assert.match(sent[0].text, /First<\/b>\n   💾 بکاپ جدید: 3 پیام \(#1 تا #3\)/);
+  assert.match(sent[0].text, /Second<\/b>\n   💾 بکاپ جدید: 1 پیام \(#9 تا #9\)/);
+  assert.equal([...DB.store.keys()].filter(key => key.startsWith('digest:')).length, 0);
+});
+
+test('hourly and daily digests are kept apart', async () => {
+  const DB = membersDB('hourly');
+  DB.store.set(`notify:7:${channels[1].id}`, 'daily');
+  const sent = captureMessages();
+  
+  await deliver({ DB, TELEGRAM_BOT_TOKEN: '1:test' }, post(channels[0], 1), post(channels[1], 2));
+  
+  await flushLater(DB, hour + 1000);
+  assert.equal(sent.length, 1);
+  assert.match(sent[0].text, /First/);
+  assert.doesNotMatch(sent[0].text, /Second/);
+  
+  await flushLater(DB, 24 * hour + 1000);
+  assert.equal(sent.length, 2);
+  assert.match(sent[1].text, /Second/);
+});
+
+test('instant mode sends right away and off sends nothing', async () => {
+  const DB = membersDB('instant');
+  DB.store.set(`notify:7:${channels[1].id}`, 'off');
+  const sent = captureMessages();
+  
+  await deliver({ DB, TELEGRAM_BOT_TOKEN: '1:test' }, post(channels[0], 1), post(channels[1], 2));
+  
+  assert.equal(sent.length, 1);
+  assert.match(sent[0].text, /First/);
+  assert.equal([...DB.store.keys()].filter(key => key.startsWith('digest:')).length, 0);
+});
@@ -0,0 +1,53 @@
+// Run from the repository root with Node 20.19+ or 22+: node --test test/*.test.mjs
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { rewritePostLinks } from '../main.js';
+import { createKV } from './helpers.mjs';
+
+const job = {
+  source_id: -1001111111111,
+  target_id: -1002222222222,
+  source_username: 'oldchan',
+  target_username: 'newchan'
+};
+
+// A KV namespace where source post 5 was restored as target post 77
+function restoredDB() {
+  const DB = createKV();
+  DB.store.set(`restore_map:${job.target_id}:${job.source_id}:5`, '77');
+  return DB;
+}
+
+test('visible links to restored posts point at the target and shift later entities', async () => {
+  const text = 'see https://t.me/oldchan/5 now';
+  const entities = [{ type: 'bold', offset: 27, length: 3 }];
+  
+  const result = await rewritePostLinks(restoredDB(), job, text, entities);
+  assert.equal(result.text, 'see https://t.me/newchan/77 now');
+  assert.deepEqual(result.entities, [{ type: 'bold', offset: 28, length: 3 }]);
+});
+
+test('private links and links without a scheme are rewritten too', async () => {
+  const result = await rewritePostLinks(restoredDB(), job, 't.me/c/1111111111/5 and telegram.me/oldchan/5', null);
+  assert.equal(result.text, 'https://t.me/newchan/77 and https://t.me/newchan/77');
+});
+
+test('text that only ends in t.me is left alone', async () => {
+  for (const text of ['see at.me/oldchan/5', 'mail.t.me/oldchan/5', 'chat.me/oldchan/5']) {
+    const result = await rewritePostLinks(restoredDB(), job, text, null);
+    assert.equal(result.text, text);
+  }
+});
+
+test('links to other channels or unrestored posts are kept', async () => {
+  const text = 't.me/otherchan/5 t.me/oldchan/6';
+  const result = await rewritePostLinks(restoredDB(), job, text, null);
+  assert.equal(result.text, text);
+});
+
+test('hidden links only change their URL', async () => {
+  const entities = [{ type: 'text_link', offset: 0, length: 4, url: 'https://t.me/oldchan/5' }];
+  const result = await rewritePostLinks(restoredDB(), job, 'here', entities);
+  assert.equal(result.text, 'here');
+  assert.deepEqual(result.entities, [{ type: 'text_link', offset: 0, length: 4, url: 'https://t.me/newchan/77' }]);
+});
@@ -0,0 +1,50 @@
+// Run from the repository root with Node 20.19+ or 22+: node --test test/*.test.mjs
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseRestoreFilters, matchesRestoreFilters } from '../main.js';
+
+const day = (date) => Date.parse(date + 'T00:00:00Z') / 1000;
+
+test('dates, id ranges, types and a keyword are parsed', () => {
+  const { filters, error } = parseRestoreFilters(['from:2024-01-01', 'to:2024-01-31', 'ids:100-200', 'types:photo,video', 'q:hello', 'world']);
+  assert.equal(error, undefined);
+  assert.deepEqual(filters, {
+    from_date: day('2024-01-01'),
+    to_date: day('2024-01-31') + 86399,
+    from_id: 100,
+    to_id: 200,
+    types: ['photo', 'video'],
+    keyword: 'hello world'
+  });
+});
+
+test('open and single id ranges are accepted', () => {
+  assert.deepEqual(parseRestoreFilters(['ids:100-']).filters, { from_id: 100 });
+  assert.deepEqual(parseRestoreFilters(['ids:-200']).filters, { to_id: 200 });
+  assert.deepEqual(parseRestoreFilters(['ids:150']).filters, { from_id: 150, to_id: 150 });
+});
+
+test('empty and reversed id ranges are rejected', () => {
+  for (const token of ['ids:-', 'ids:', 'ids:500-100', 'ids:abc']) {
+    const { error } = parseRestoreFilters([token]);
+    assert.match(error, /بازه شناسه نامعتبر/, token);
+  }
+});
+
+test('rolled-over dates, unknown types and unknown filters are rejected', () => {
+  assert.match(parseRestoreFilters(['from:2024-02-30']).error, /تاریخ نامعتبر/);
+  assert.match(parseRestoreFilters(['types:hologram']).error, /نوع نامعتبر/);
+  assert.match(parseRestoreFilters(['size:big']).error, /فیلتر ناشناخته/);
+  assert.match(parseRestoreFilters(['q:']).error, /کلمه کلیدی خالی/);
+});
+
+test('backups are matched against every active filter', () => {
+  const backup = { message_id: 150, date: day('2024-01-15'), photo: 'file', caption: 'Hello World' };
+  
+  assert.equal(matchesRestoreFilters(backup, {}), true);
+  assert.equal(matchesRestoreFilters(backup, parseRestoreFilters(['from:2024-01-01', 'to:2024-01-15', 'ids:100-200', 'types:photo', 'q:hello']).filters), true);
+  assert.equal(matchesRestoreFilters(backup, { to_date: day('2024-01-14') + 86399 }), false);
+  assert.equal(matchesRestoreFilters(backup, { from_id: 151 }), false);
+  assert.equal(matchesRestoreFilters(backup, { types: ['video'] }), false);
+  assert.equal(matchesRestoreFilters(backup, { keyword: 'goodbye' }), false);
+});